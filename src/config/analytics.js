@@ -0,0 +1,21 @@
+const { intFromEnv } = require('./auth');
+
+// Admin analytics settings
+const analyticsConfig = {
+  // Time zone used for day, week and month boundaries when a request has no tz parameter
+  defaultTimezone: process.env.ANALYTICS_TIMEZONE || 'UTC',
+
+  // Days login events are kept for active user and retention reports
+  loginEventRetentionDays: intFromEnv('LOGIN_EVENT_RETENTION_DAYS', 400),
+
+  // Maximum number of periods in one time series
+  maxSeriesPoints: intFromEnv('ANALYTICS_MAX_SERIES_POINTS', 1000),
+
+  // How often the statistics rollups are checked against the users collection, in minutes
+  statsReconcileIntervalMinutes: intFromEnv('STATS_RECONCILE_INTERVAL_MINUTES', 60),
+
+  // Number of most recent days rebuilt on each reconciliation run
+  statsReconcileDays: intFromEnv('STATS_RECONCILE_DAYS', 2)
+};
+
+module.exports = { analyticsConfig };
@@ -0,0 +1,66 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+// Parse a positive integer from an environment variable
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Authentication settings
+const authConfig = {
+  // Lifetime of JWT access tokens (any value accepted by jsonwebtoken)
+  accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+
+  // Lifetime of a refresh token session, in days
+  refreshTokenExpiresDays: intFromEnv('REFRESH_TOKEN_EXPIRES_DAYS', 30),
+
+  // Base URL of the frontend, used to build links in emails
+  clientUrl: (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, ''),
+
+  // Base URL of this API, used for download links in emails
+  apiUrl: (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, ''),
+
+  // Email verification
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+  emailVerificationExpiresHours: intFromEnv('EMAIL_VERIFICATION_EXPIRES_HOURS', 24),
+  verificationResendCooldownSeconds: intFromEnv('VERIFICATION_RESEND_COOLDOWN_SECONDS', 60),
+  verificationResendMaxPerHour: intFromEnv('VERIFICATION_RESEND_MAX_PER_HOUR', 5),
+
+  // Password reset
+  passwordResetExpiresMinutes: intFromEnv('PASSWORD_RESET_EXPIRES_MINUTES', 60),
+  passwordResetCooldownSeconds: intFromEnv('PASSWORD_RESET_COOLDOWN_SECONDS', 60),
+  // Set-password links emailed to imported users
+  accountInviteExpiresHours: intFromEnv('ACCOUNT_INVITE_EXPIRES_HOURS', 72),
+
+  // Invitations sent by admins
+  invitationExpiresHours: intFromEnv('INVITATION_EXPIRES_HOURS', 7 * 24),
+  invitationResendCooldownSeconds: intFromEnv('INVITATION_RESEND_COOLDOWN_SECONDS', 60),
+
+  // Reactivation links for users who deactivated their own account
+  reactivationExpiresHours: intFromEnv('REACTIVATION_EXPIRES_HOURS', 24),
+  reactivationCooldownSeconds: intFromEnv('REACTIVATION_COOLDOWN_SECONDS', 60),
+
+  // Two-factor authentication
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || process.env.APP_NAME || 'Backend',
+  twoFactorRecoveryCodeCount: intFromEnv('TWO_FACTOR_RECOVERY_CODE_COUNT', 10),
+  // Lifetime of the "mfa pending" token returned by the first login step
+  mfaTokenExpiresIn: process.env.MFA_TOKEN_EXPIRES_IN || '5m',
+
+  // Login brute-force protection
+  // 'memory' for a single instance, 'mongo' when running several instances
+  loginAttemptStore: process.env.LOGIN_ATTEMPT_STORE || 'memory',
+  loginMaxAttemptsPerAccount: intFromEnv('LOGIN_MAX_ATTEMPTS_PER_ACCOUNT', 5),
+  loginMaxAttemptsPerIp: intFromEnv('LOGIN_MAX_ATTEMPTS_PER_IP', 20),
+  // Failures older than this window are forgotten
+  loginAttemptWindowMinutes: intFromEnv('LOGIN_ATTEMPT_WINDOW_MINUTES', 15),
+  loginLockoutMinutes: intFromEnv('LOGIN_LOCKOUT_MINUTES', 15),
+  // Delay after each failure doubles from the base up to the maximum
+  loginDelayBaseSeconds: intFromEnv('LOGIN_DELAY_BASE_SECONDS', 1),
+  loginDelayMaxSeconds: intFromEnv('LOGIN_DELAY_MAX_SECONDS', 30)
+};
+
+module.exports = {
+  authConfig,
+  intFromEnv
+};
@@ -60,9 +60,32 @@ const deleteFromCloudinary = async (public_id) => {
   }
 };
 
+// Get the public ID of an asset from its delivery URL
+// e.g. https://res.cloudinary.com/demo/image/upload/c_fill,w_400/v1712/profile-pictures/abc.jpg
+//   -> profile-pictures/abc
+const getPublicIdFromUrl = (url) => {
+  if (!url || !url.includes('res.cloudinary.com')) return null;
+
+  const match = url.split('?')[0].match(/\/upload\/(.+)$/);
+  if (!match) return null;
+
+  const segments = match[1].split('/');
+
+  // Skip transformation segments and the version
+  while (segments.length > 1 && (segments[0].includes(',') || /^[a-z]{1,3}_/.test(segments[0]))) {
+    segments.shift();
+  }
+  if (segments.length > 1 && /^v\d+$/.test(segments[0])) {
+    segments.shift();
+  }
+
+  return segments.join('/').replace(/\.[^/.]+$/, '');
+};
+
 module.exports = {
   cloudinary,
   testCloudinaryConnection,
   uploadToCloudinary,
-  deleteFromCloudinary
+  deleteFromCloudinary,
+  getPublicIdFromUrl
 };
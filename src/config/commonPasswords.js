@@ -0,0 +1,21 @@
+// Commonly used passwords that are rejected regardless of the other rules.
+// Compared case-insensitively. Extend with PASSWORD_BLOCKLIST (comma separated).
+module.exports = [
+  '123456', '123456789', '12345678', '1234567', '12345', '1234567890',
+  '123123', '111111', '000000', '654321', '666666', '121212', '112233',
+  '123321', '987654321', '1q2w3e4r', '1q2w3e4r5t', '1qaz2wsx', 'qwerty',
+  'qwerty123', 'qwertyuiop', 'qwe123', 'asdfgh', 'asdfghjkl', 'zxcvbnm',
+  'password', 'password1', 'password12', 'password123', 'passw0rd',
+  'p@ssw0rd', 'p@ssword', 'pass@123', 'password@123', 'admin', 'admin123',
+  'admin@123', 'administrator', 'root', 'toor', 'letmein', 'welcome',
+  'welcome1', 'welcome123', 'welcome@123', 'login', 'abc123', 'abcd1234',
+  'iloveyou', 'iloveyou1', 'monkey', 'dragon', 'master', 'sunshine',
+  'princess', 'football', 'baseball', 'superman', 'batman', 'trustno1',
+  'shadow', 'michael', 'jennifer', 'charlie', 'freedom', 'whatever',
+  'starwars', 'hello123', 'secret', 'changeme', 'default', 'guest',
+  'test123', 'test@123', 'india123', 'india@123', 'qazwsx', 'zaq12wsx',
+  'aa123456', 'a123456', 'a1b2c3d4', 'Aa123456', 'Qwerty123', 'Qwerty@123',
+  'Password1', 'Password123', 'Password@123', 'Welcome1', 'Welcome@123',
+  'Admin@123', 'Abcd@1234', 'Abc@1234', 'Pass@1234', 'Summer2024',
+  'Winter2024', 'Spring2024', 'Autumn2024', 'Summer2025', 'Winter2025'
+];
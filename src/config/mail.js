@@ -0,0 +1,28 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+// Outgoing email settings (see utils/mailer)
+const mailConfig = {
+  // How emails are sent: smtp, file (written to outboxDir) or console
+  // (printed, links included). Must be set when NODE_ENV is production;
+  // elsewhere it defaults to console.
+  transport: process.env.MAIL_TRANSPORT || null,
+
+  // Sender address of every email
+  from: process.env.MAIL_FROM || 'no-reply@example.com',
+
+  // SMTP server, for the smtp transport. SMTP_USER and SMTP_PASS are only
+  // needed if the server requires authentication.
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null
+  },
+
+  // Directory the file transport writes to
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail')
+};
+
+module.exports = { mailConfig };
@@ -0,0 +1,41 @@
+// Permissions that can be granted to roles
+const PERMISSIONS = {
+  'dashboard:read': 'View dashboard statistics',
+  'analytics:read': 'View signup, activity and retention analytics',
+  'users:read': 'View user accounts',
+  'users:update': 'Edit user profiles',
+  'users:status': 'Activate and deactivate users',
+  'users:role': 'Change user roles',
+  'users:delete': 'Delete users',
+  'users:export': 'Export user data',
+  'users:import': 'Import users from files',
+  'users:bulk': 'Run bulk operations on users',
+  'users:invite': 'Invite new users and manage pending invitations',
+  'users:notes': 'View and write internal notes on users',
+  'segments:manage': 'Create, edit and share saved user segments',
+  'users:security': 'Unlock accounts and reset two-factor authentication',
+  'admins:manage': 'Create, list and demote admins',
+  'roles:manage': 'Edit role permissions',
+  'security:manage': 'Change security settings',
+  'settings:manage': 'Change the default settings of users',
+  'audit:read': 'View and export the audit log'
+};
+
+// Permissions each role starts with (stored in the database on first start).
+// Permissions added in later releases are granted to the roles listed here
+// the first time the server starts with them.
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  moderator: ['dashboard:read', 'analytics:read', 'users:read', 'users:status', 'users:notes'],
+  user: []
+};
+
+// Permissions that can never be removed from the admin role,
+// so admins cannot lock themselves out of role management
+const PROTECTED_ADMIN_PERMISSIONS = ['roles:manage'];
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  PROTECTED_ADMIN_PERMISSIONS
+};
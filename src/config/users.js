@@ -0,0 +1,55 @@
+const { intFromEnv } = require('./auth');
+
+// User account lifecycle settings
+const userConfig = {
+  // Days a soft-deleted user stays in the recycle bin before it is purged
+  deletedUserRetentionDays: intFromEnv('DELETED_USER_RETENTION_DAYS', 30),
+
+  // Days between a user asking to delete their account and its personal
+  // data being erased; logging in during this time cancels the deletion
+  deletionGracePeriodDays: intFromEnv('ACCOUNT_DELETION_GRACE_DAYS', 14),
+
+  // How often the purge and account deletion jobs run, in minutes
+  purgeIntervalMinutes: intFromEnv('USER_PURGE_INTERVAL_MINUTES', 60),
+
+  // How often expired suspensions are lifted, in minutes
+  suspensionCheckIntervalMinutes: intFromEnv('SUSPENSION_CHECK_INTERVAL_MINUTES', 5),
+
+  // Personal data exports: hours a finished archive can be downloaded,
+  // and hours a user must wait between their own export requests
+  dataExportExpiresHours: intFromEnv('DATA_EXPORT_EXPIRES_HOURS', 48),
+  dataExportCooldownHours: intFromEnv('DATA_EXPORT_COOLDOWN_HOURS', 24)
+};
+
+// Reason categories for suspending an account
+const SUSPENSION_REASONS = ['spam', 'abuse', 'harassment', 'fraud', 'policy_violation', 'security', 'other'];
+
+// Choices for user settings (see utils/userSettings). Security emails are
+// always sent, so they have no notification category.
+const USER_SETTING_OPTIONS = {
+  languages: ['en', 'hi', 'es', 'fr', 'de'],
+  dateFormats: ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'],
+  themes: ['system', 'light', 'dark'],
+  notificationChannels: ['email', 'push'],
+  notificationCategories: ['account', 'connections', 'product']
+};
+
+// Settings of a user who has not changed them, unless an admin has set
+// other defaults. A null timezone means the default of each feature.
+const DEFAULT_USER_SETTINGS = {
+  language: 'en',
+  timezone: null,
+  dateFormat: 'YYYY-MM-DD',
+  theme: 'system',
+  notifications: {
+    email: { account: true, connections: true, product: false },
+    push: { account: true, connections: true, product: false }
+  }
+};
+
+module.exports = {
+  userConfig,
+  SUSPENSION_REASONS,
+  USER_SETTING_OPTIONS,
+  DEFAULT_USER_SETTINGS
+};
@@ -1,6 +1,55 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
+const {
+  authenticatePassword,
+  sendLoginError,
+  finishPasswordLogin
+} = require('../utils/loginFlow');
+const { validatePassword, hashPassword } = require('../utils/passwordPolicy');
+const {
+  ENFORCEABLE_ROLES,
+  getTwoFactorRequiredRoles,
+  setTwoFactorRequiredRoles
+} = require('../utils/twoFactor');
+const { getAccountLockout, unlockAccount } = require('../utils/loginThrottle');
+const {
+  getRolePermissions,
+  hasPermission,
+  canManageUser,
+  clearPermissionCache
+} = require('../utils/permissions');
+const { PERMISSIONS, PROTECTED_ADMIN_PERMISSIONS } = require('../config/permissions');
+const Role = require('../models/Role');
+const { diffFields, recordAudit } = require('../utils/auditLog');
+const { softDeleteUser, restoreUser } = require('../utils/userDeletion');
+const { userConfig } = require('../config/users');
+const { buildUserSort } = require('../utils/userFilters');
+const { buildSegmentedUserFilter } = require('../utils/segments');
+const { getUserOverview } = require('../utils/analytics');
+const { getNotesForUser } = require('../utils/userNotes');
+const { isPendingInvitation } = require('../utils/invitations');
+const { userStatSnapshot, emitUserCreated, emitUserChanged } = require('../utils/userEvents');
+const { normalizeTimezone } = require('../utils/timezone');
+const { getUserSettings } = require('../utils/userSettings');
+const {
+  parseSuspensionInput,
+  isSuspended,
+  suspendUser,
+  activateUser,
+  getSuspensionHistory
+} = require('../utils/suspensions');
+const { analyticsConfig } = require('../config/analytics');
+const {
+  EXPORT_FORMATS,
+  parseExportFields,
+  buildExportProjection,
+  streamUserExport
+} = require('../utils/userExport');
+
+// Notes returned with a single user (the rest are under /users/:id/notes)
+const NOTES_PREVIEW_LIMIT = 20;
+
+// Suspensions returned with a single user (the rest are under /users/:id/suspensions)
+const SUSPENSION_PREVIEW_LIMIT = 20;
 
 // @desc    Admin login
 // @route   POST /api/admin/login
@@ -17,63 +66,12 @@ const adminLogin = async (req, res) => {
       });
     }
 
-    // Check admin credentials from environment variables
-    const adminEmail = process.env.ADMIN_EMAIL;
-    const adminPassword = process.env.ADMIN_PASSWORD;
-
-    if (!adminEmail || !adminPassword) {
-      console.error('Admin credentials not configured in environment variables');
-      return res.status(500).json({
-        success: false,
-        message: 'Admin configuration error'
-      });
-    }
-
-    // Verify admin credentials
-    if (email !== adminEmail) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid admin credentials'
-      });
+    const result = await authenticatePassword({ email, password, req, allowedRoles: ['admin', 'moderator'] });
+    if (result.error) {
+      return sendLoginError(res, result);
     }
 
-    // For admin, we'll use a simple password comparison
-    // In production, you might want to hash the admin password
-    if (password !== adminPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid admin credentials'
-      });
-    }
-
-    // Create admin user object for JWT
-    const adminUser = {
-      _id: 'admin',
-      email: adminEmail,
-      role: 'admin',
-      firstName: 'Admin',
-      lastName: 'User'
-    };
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: adminUser._id,
-        email: adminUser.email,
-        role: adminUser.role
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    res.status(200).json({
-      success: true,
-      message: 'Admin login successful',
-      data: {
-        token,
-        user: adminUser
-      }
-    });
+    await finishPasswordLogin(result.user, req, res, 'Admin login successful');
 
   } catch (error) {
     console.error('Admin login error:', error);
@@ -92,32 +90,19 @@ const getAllUsers = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search || '';
-    const status = req.query.status || 'all'; // all, active, inactive
-    const sortBy = req.query.sortBy || 'createdAt';
-    const sortOrder = req.query.sortOrder || 'desc';
 
-    // Build filter object
-    const filter = {};
-    
-    // Search filter
-    if (search) {
-      filter.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
-    }
+    // Build filter and sort objects
+    const { filter, errors: filterErrors } = await buildSegmentedUserFilter(req.query, req.user);
+    const { sort, errors: sortErrors } = buildUserSort(req.query);
 
-    // Status filter
-    if (status !== 'all') {
-      filter.isActive = status === 'active';
+    if (filterErrors.length > 0 || sortErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [...filterErrors, ...sortErrors]
+      });
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
     // Calculate skip value for pagination
     const skip = (page - 1) * limit;
 
@@ -143,6 +128,7 @@ const getAllUsers = async (req, res) => {
       dateOfBirth: user.dateOfBirth,
       isActive: user.isActive,
       role: user.role,
+      tags: user.tags,
       profilePicture: user.profilePicture,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
@@ -193,10 +179,23 @@ const getUserById = async (req, res) => {
       });
     }
 
+    // Get login lockout state
+    const lockout = await getAccountLockout(user.email);
+
+    // Internal notes, for staff allowed to read them
+    const notes = await hasPermission(req.user, 'users:notes')
+      ? await getNotesForUser(user._id, { limit: NOTES_PREVIEW_LIMIT })
+      : null;
+
+    const suspensions = await getSuspensionHistory(user._id, { limit: SUSPENSION_PREVIEW_LIMIT });
+
     res.status(200).json({
       success: true,
       data: {
-        user
+        user,
+        lockout,
+        suspensions,
+        ...(notes ? { notes: notes.notes, notesTotal: notes.total } : {})
       }
     });
 
@@ -239,9 +238,47 @@ const updateUser = async (req, res) => {
       });
     }
 
+    if (!(await canManageUser(req.user, existingUser))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Managing admin accounts requires the admins:manage permission'
+      });
+    }
+
+    // Status changes need users:status and a suspension reason, so they have
+    // their own routes (an unchanged isActive from an edit form is ignored)
+    if (isActive !== undefined && isActive !== existingUser.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive cannot be changed here. Use POST /api/admin/users/:id/suspend or /unsuspend.'
+      });
+    }
+
+    // Role changes need their own permission
+    if (role !== undefined && role !== existingUser.role) {
+      // Same rule as demoteAdmin - the last admin must not lock everyone out
+      if (existingUser._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change your own role'
+        });
+      }
+
+      const roleTouchesAdmin = role === 'admin' || existingUser.role === 'admin';
+      const canChangeRole = await hasPermission(req.user, 'users:role')
+        && (!roleTouchesAdmin || await hasPermission(req.user, 'admins:manage'));
+
+      if (!canChangeRole) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to change this user\'s role'
+        });
+      }
+    }
+
     // Check if email is being changed and if it's already taken
     if (email && email !== existingUser.email) {
-      const emailExists = await User.findOne({ email, _id: { $ne: id } });
+      const emailExists = await User.findOne({ email, _id: { $ne: id } }).withDeleted();
       if (emailExists) {
         return res.status(400).json({
           success: false,
@@ -270,7 +307,6 @@ const updateUser = async (req, res) => {
     if (phoneNumber !== undefined) updateData.phoneNumber = phoneNumber;
     if (gender !== undefined) updateData.gender = gender;
     if (dateOfBirth !== undefined) updateData.dateOfBirth = dateOfBirth;
-    if (isActive !== undefined) updateData.isActive = isActive;
     if (role !== undefined) updateData.role = role;
     if (bio !== undefined) updateData.bio = bio;
 
@@ -297,6 +333,13 @@ const updateUser = async (req, res) => {
       updateData,
       { new: true, runValidators: true }
     ).select('-password');
+    emitUserChanged(userStatSnapshot(existingUser), updatedUser);
+
+    await recordAudit(req, {
+      action: 'user.update',
+      targetIds: [updatedUser._id],
+      changes: diffFields(existingUser, updatedUser)
+    });
 
     res.status(200).json({
       success: true,
@@ -351,6 +394,13 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    if (!(await canManageUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Managing admin accounts requires the admins:manage permission'
+      });
+    }
+
     // Prevent admin from deleting themselves
     if (id === req.user._id.toString()) {
       return res.status(400).json({
@@ -359,12 +409,18 @@ const deleteUser = async (req, res) => {
       });
     }
 
-    // Delete user
-    await User.findByIdAndDelete(id);
+    // Move user to the recycle bin
+    await softDeleteUser(user, req.user._id);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetIds: [user._id],
+      metadata: { email: user.email, role: user.role }
+    });
 
     res.status(200).json({
       success: true,
-      message: 'User deleted successfully'
+      message: `User deleted successfully. It can be restored for ${userConfig.deletedUserRetentionDays} days.`
     });
 
   } catch (error) {
@@ -377,7 +433,9 @@ const deleteUser = async (req, res) => {
   }
 };
 
-// @desc    Activate/Deactivate user (Admin only)
+// @desc    Activate/Deactivate user (Admin only). Deactivating suspends the
+//          user (reason "other" unless given, see POST /users/:id/suspend);
+//          activating lifts the suspension.
 // @route   PUT /api/admin/users/:id/toggle-status
 // @access  Private/Admin
 const toggleUserStatus = async (req, res) => {
@@ -385,8 +443,28 @@ const toggleUserStatus = async (req, res) => {
     const { id } = req.params;
     const { isActive } = req.body;
 
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false'
+      });
+    }
+
+    let details = null;
+    if (!isActive) {
+      const parsed = parseSuspensionInput({ ...req.body, reason: req.body.reason || 'other' });
+      if (parsed.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: parsed.errors
+        });
+      }
+      details = parsed.details;
+    }
+
     // Check if user exists
-    const user = await User.findById(id);
+    const user = await User.findById(id).select('-password');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -394,6 +472,13 @@ const toggleUserStatus = async (req, res) => {
       });
     }
 
+    if (!(await canManageUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Managing admin accounts requires the admins:manage permission'
+      });
+    }
+
     // Prevent admin from deactivating themselves
     if (id === req.user._id.toString() && !isActive) {
       return res.status(400).json({
@@ -402,12 +487,28 @@ const toggleUserStatus = async (req, res) => {
       });
     }
 
-    // Update user status
-    const updatedUser = await User.findByIdAndUpdate(
-      id,
-      { isActive },
-      { new: true }
-    ).select('-password');
+    const wasActive = user.isActive;
+    if (isActive && (!wasActive || isSuspended(user) || user.deactivatedAt)) {
+      const suspension = await activateUser(user, req.user);
+      await recordAudit(req, {
+        action: 'user.unsuspend',
+        targetIds: [user._id],
+        changes: [{ field: 'isActive', before: wasActive, after: true }],
+        metadata: { suspensionId: suspension ? suspension._id.toString() : null }
+      });
+    } else if (!isActive && !isSuspended(user)) {
+      const suspension = await suspendUser(user, details, req.user);
+      await recordAudit(req, {
+        action: 'user.suspend',
+        targetIds: [user._id],
+        changes: [{ field: 'isActive', before: wasActive, after: false }],
+        metadata: {
+          suspensionId: suspension._id.toString(),
+          reason: suspension.reason,
+          endsAt: suspension.endsAt
+        }
+      });
+    }
 
     const statusText = isActive ? 'activated' : 'deactivated';
 
@@ -415,7 +516,7 @@ const toggleUserStatus = async (req, res) => {
       success: true,
       message: `User ${statusText} successfully`,
       data: {
-        user: updatedUser
+        user
       }
     });
 
@@ -434,81 +535,209 @@ const toggleUserStatus = async (req, res) => {
 // @access  Private/Admin
 const getDashboardStats = async (req, res) => {
   try {
-    // Get total users count
-    const totalUsers = await User.countDocuments();
-    
-    // Get active users count
-    const activeUsers = await User.countDocuments({ isActive: true });
-    
-    // Get inactive users count
-    const inactiveUsers = await User.countDocuments({ isActive: false });
-    
-    // Get users registered in last 30 days
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    const newUsersThisMonth = await User.countDocuments({
-      createdAt: { $gte: thirtyDaysAgo }
+    // "Today" starts at midnight in the requested time zone, or the staff member's own
+    const settings = await getUserSettings(req.user);
+    const timezone = normalizeTimezone(req.query.tz || settings.timezone || analyticsConfig.defaultTimezone);
+    if (!timezone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: ['tz must be a valid IANA time zone, e.g. Europe/London']
+      });
+    }
+
+    // Counts come from the statistics rollups unless fresh=true
+    const { source, overview, genderDistribution, roleDistribution } = await getUserOverview(timezone, {
+      fresh: req.query.fresh === 'true'
     });
 
-    // Get users registered in last 7 days
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    const newUsersThisWeek = await User.countDocuments({
-      createdAt: { $gte: sevenDaysAgo }
+    // Get recent users (last 10)
+    const recentUsers = await User.find()
+      .select('firstName lastName email isActive createdAt')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timezone,
+        source,
+        overview,
+        genderDistribution,
+        roleDistribution,
+        recentUsers
+      }
     });
 
-    // Get users registered today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const newUsersToday = await User.countDocuments({
-      createdAt: { $gte: today }
+  } catch (error) {
+    console.error('Get dashboard stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
     });
+  }
+};
 
-    // Get gender distribution
-    const genderStats = await User.aggregate([
-      {
-        $group: {
-          _id: '$gender',
-          count: { $sum: 1 }
-        }
+// @desc    Export users data (Admin only)
+// @route   GET /api/admin/users/export
+// @access  Private/Admin
+const exportUsers = async (req, res) => {
+  try {
+    const format = req.query.format || 'json'; // json, csv, ndjson, xlsx
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    // Same filters and sorting as the user list
+    const { fields, errors: fieldErrors } = parseExportFields(req.query.fields, format, {
+      permissions: await getRolePermissions(req.user.role)
+    });
+    const { filter, errors: filterErrors } = await buildSegmentedUserFilter(req.query, req.user);
+    const { sort, errors: sortErrors } = buildUserSort(req.query);
+
+    const errors = [...fieldErrors, ...filterErrors, ...sortErrors];
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+    const totalUsers = await User.countDocuments(filter);
+
+    await recordAudit(req, {
+      action: 'user.export',
+      metadata: {
+        format,
+        fields,
+        query: req.query,
+        totalUsers
       }
+    });
+
+    // Stream users from a cursor instead of loading them all
+    // (_id breaks ties so the order is stable)
+    const cursor = User.find(filter)
+      .select(buildExportProjection(fields))
+      .sort(sort._id ? sort : { ...sort, _id: 1 })
+      .lean()
+      .cursor();
+
+    await streamUserExport({ cursor, res, format, fields });
+
+  } catch (error) {
+    console.error('Export users error:', error);
+
+    // The export already started - all we can do is cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List users in the recycle bin (Admin only)
+// @route   GET /api/admin/users/deleted
+// @access  Private/Admin
+const getDeletedUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const [users, totalUsers] = await Promise.all([
+      User.find()
+        .onlyDeleted()
+        .select('firstName lastName email role profilePicture deletedAt deletedBy createdAt')
+        .populate({ path: 'deletedBy', select: 'firstName lastName email', options: { withDeleted: true } })
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments().onlyDeleted()
     ]);
+    const totalPages = Math.ceil(totalUsers / limit);
+    const retentionMs = userConfig.deletedUserRetentionDays * 24 * 60 * 60 * 1000;
 
-    // Get users by role
-    const roleStats = await User.aggregate([
-      {
-        $group: {
-          _id: '$role',
-          count: { $sum: 1 }
+    res.status(200).json({
+      success: true,
+      data: {
+        users: users.map(user => ({
+          ...user.toObject(),
+          purgeAt: new Date(user.deletedAt.getTime() + retentionMs)
+        })),
+        retentionDays: userConfig.deletedUserRetentionDays,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalUsers,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
         }
       }
-    ]);
+    });
 
-    // Get recent users (last 10)
-    const recentUsers = await User.find()
-      .select('firstName lastName email isActive createdAt')
-      .sort({ createdAt: -1 })
-      .limit(10);
+  } catch (error) {
+    console.error('Get deleted users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore a user from the recycle bin (Admin only)
+// @route   POST /api/admin/users/:id/restore
+// @access  Private/Admin
+const restoreDeletedUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).onlyDeleted();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+
+    if (!(await canManageUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Managing admin accounts requires the admins:manage permission'
+      });
+    }
+
+    const deletedAt = user.deletedAt;
+    await restoreUser(user);
+
+    await recordAudit(req, {
+      action: 'user.restore',
+      targetIds: [user._id],
+      changes: [{ field: 'deletedAt', before: deletedAt.toISOString(), after: null }]
+    });
 
     res.status(200).json({
       success: true,
+      message: 'User restored successfully',
       data: {
-        overview: {
-          totalUsers,
-          activeUsers,
-          inactiveUsers,
-          newUsersThisMonth,
-          newUsersThisWeek,
-          newUsersToday
-        },
-        genderDistribution: genderStats,
-        roleDistribution: roleStats,
-        recentUsers
+        user: user.getPublicProfile()
       }
     });
 
   } catch (error) {
-    console.error('Get dashboard stats error:', error);
+    console.error('Restore user error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -517,70 +746,373 @@ const getDashboardStats = async (req, res) => {
   }
 };
 
-// @desc    Bulk operations (Admin only)
-// @route   POST /api/admin/users/bulk
+// @desc    Unlock a user locked out by failed logins (Admin only)
+// @route   POST /api/admin/users/:id/unlock
 // @access  Private/Admin
-const bulkOperations = async (req, res) => {
+const unlockUser = async (req, res) => {
   try {
-    const { operation, userIds } = req.body;
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
-    if (!operation || !userIds || !Array.isArray(userIds) || userIds.length === 0) {
+    if (!(await canManageUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Managing admin accounts requires the admins:manage permission'
+      });
+    }
+
+    await unlockAccount(user.email);
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetIds: [user._id]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked successfully',
+      data: {
+        lockout: await getAccountLockout(user.email)
+      }
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List admin accounts (Admin only)
+// @route   GET /api/admin/admins
+// @access  Private/Admin
+const getAdmins = async (req, res) => {
+  try {
+    const admins = await User.find({ role: 'admin' })
+      .select('firstName lastName email isActive twoFactor.enabled lastLoginAt createdAt')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        admins,
+        totalAdmins: admins.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get admins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create an admin, or promote an existing user to admin (Admin only)
+// @route   POST /api/admin/admins
+// @access  Private/Admin
+const createAdmin = async (req, res) => {
+  try {
+    const { email, firstName, lastName, password } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // Promote an existing user
+    const existingUser = await User.findOne({ email: email.toLowerCase().trim() }).withDeleted();
+    if (existingUser) {
+      if (existingUser.deletedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'This account is in the recycle bin. Restore it before promoting it.'
+        });
+      }
+
+      if (existingUser.role === 'admin') {
+        return res.status(400).json({
+          success: false,
+          message: 'User is already an admin'
+        });
+      }
+
+      if (isPendingInvitation(existingUser)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This email has a pending invitation. Invite them with the admin role instead, or revoke the invitation first.'
+        });
+      }
+
+      // Anyone can sign up with any address, so an unproven email
+      // (a typo or someone else's) must not become an admin
+      if (!existingUser.isVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'This user has not verified their email address yet. Only verified accounts can be promoted to admin.'
+        });
+      }
+
+      const previousRole = existingUser.role;
+      const before = userStatSnapshot(existingUser);
+      existingUser.role = 'admin';
+      await existingUser.save();
+      emitUserChanged(before, existingUser);
+
+      await recordAudit(req, {
+        action: 'admin.promote',
+        targetIds: [existingUser._id],
+        changes: [{ field: 'role', before: previousRole, after: 'admin' }]
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'User promoted to admin successfully',
+        data: {
+          user: existingUser.getPublicProfile()
+        }
+      });
+    }
+
+    // Create a new admin account
+    if (!firstName || !lastName || !password) {
       return res.status(400).json({
         success: false,
-        message: 'Operation and user IDs are required'
+        message: 'First name, last name and password are required to create a new admin'
       });
     }
 
-    // Prevent admin from performing operations on themselves
-    if (userIds.includes(req.user._id.toString())) {
+    const passwordErrors = validatePassword(password, { email, firstName, lastName });
+    if (passwordErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot perform bulk operations on your own account'
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors
       });
     }
 
-    let result;
-    let message;
+    const admin = await User.create({
+      firstName,
+      lastName,
+      email,
+      password: await hashPassword(password),
+      role: 'admin',
+      isVerified: true
+    });
+    emitUserCreated(admin);
+
+    await recordAudit(req, {
+      action: 'admin.create',
+      targetIds: [admin._id],
+      metadata: { email: admin.email }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      data: {
+        user: admin.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Create admin error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Demote an admin (Admin only)
+// @route   PUT /api/admin/admins/:id/demote
+// @access  Private/Admin
+const demoteAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const role = req.body.role || 'user';
+
+    if (!['user', 'moderator'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be 'user' or 'moderator'"
+      });
+    }
+
+    // Prevent admin from demoting themselves
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot demote your own account'
+      });
+    }
+
+    const admin = await User.findOne({ _id: id, role: 'admin' });
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    const before = userStatSnapshot(admin);
+    admin.role = role;
+    await admin.save();
+    emitUserChanged(before, admin);
+
+    await recordAudit(req, {
+      action: 'admin.demote',
+      targetIds: [admin._id],
+      changes: [{ field: 'role', before: 'admin', after: role }]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Admin demoted to ${role} successfully`,
+      data: {
+        user: admin.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Demote admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List roles and their permissions (Admin only)
+// @route   GET /api/admin/roles
+// @access  Private/Admin
+const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles,
+        availablePermissions: PERMISSIONS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
 
-    switch (operation) {
-      case 'activate':
-        result = await User.updateMany(
-          { _id: { $in: userIds } },
-          { isActive: true }
-        );
-        message = `${result.modifiedCount} users activated successfully`;
-        break;
+// @desc    Update the permissions of a role (Admin only)
+// @route   PUT /api/admin/roles/:name
+// @access  Private/Admin
+const updateRolePermissions = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { permissions, description } = req.body;
 
-      case 'deactivate':
-        result = await User.updateMany(
-          { _id: { $in: userIds } },
-          { isActive: false }
-        );
-        message = `${result.modifiedCount} users deactivated successfully`;
-        break;
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'permissions must be an array'
+      });
+    }
 
-      case 'delete':
-        result = await User.deleteMany({ _id: { $in: userIds } });
-        message = `${result.deletedCount} users deleted successfully`;
-        break;
+    const unknownPermissions = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknownPermissions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknownPermissions.join(', ')}`
+      });
+    }
 
-      default:
+    if (name === 'admin') {
+      const removedProtected = PROTECTED_ADMIN_PERMISSIONS.filter(permission => !permissions.includes(permission));
+      if (removedProtected.length > 0) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid operation. Supported operations: activate, deactivate, delete'
+          message: `The admin role must keep: ${removedProtected.join(', ')}`
         });
+      }
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
     }
 
+    const previous = { permissions: [...role.permissions], description: role.description };
+
+    role.permissions = [...new Set(permissions)];
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.user._id;
+    await role.save();
+
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'role',
+      targetIds: [role.name],
+      changes: diffFields(previous, role, ['permissions', 'description'])
+    });
+
+    clearPermissionCache(name);
+
     res.status(200).json({
       success: true,
-      message,
+      message: 'Role permissions updated successfully',
       data: {
-        affectedCount: operation === 'delete' ? result.deletedCount : result.modifiedCount
+        role
       }
     });
 
   } catch (error) {
-    console.error('Bulk operations error:', error);
+    console.error('Update role permissions error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -589,52 +1121,123 @@ const bulkOperations = async (req, res) => {
   }
 };
 
-// @desc    Export users data (Admin only)
-// @route   GET /api/admin/users/export
+// @desc    Get roles that must use two-factor authentication (Admin only)
+// @route   GET /api/admin/security/two-factor
 // @access  Private/Admin
-const exportUsers = async (req, res) => {
+const getTwoFactorPolicy = async (req, res) => {
   try {
-    const format = req.query.format || 'json'; // json, csv
-    const status = req.query.status || 'all';
+    const requiredRoles = await getTwoFactorRequiredRoles();
 
-    // Build filter
-    const filter = {};
-    if (status !== 'all') {
-      filter.isActive = status === 'active';
+    res.status(200).json({
+      success: true,
+      data: {
+        requiredRoles,
+        enforceableRoles: ENFORCEABLE_ROLES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set roles that must use two-factor authentication (Admin only)
+// @route   PUT /api/admin/security/two-factor
+// @access  Private/Admin
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'requiredRoles must be an array'
+      });
+    }
+
+    const invalidRoles = requiredRoles.filter(role => !ENFORCEABLE_ROLES.includes(role));
+    if (invalidRoles.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Two-factor authentication can only be required for: ${ENFORCEABLE_ROLES.join(', ')}`
+      });
     }
 
-    // Get users
-    const users = await User.find(filter).select('-password');
+    const previousRoles = await getTwoFactorRequiredRoles();
+    const savedRoles = await setTwoFactorRequiredRoles([...new Set(requiredRoles)], req.user._id.toString());
 
-    if (format === 'csv') {
-      // Convert to CSV format
-      const csvHeader = 'ID,First Name,Last Name,Email,Phone,Gender,Status,Role,Created At\n';
-      const csvData = users.map(user => 
-        `${user._id},"${user.firstName}","${user.lastName}","${user.email}","${user.phoneNumber || ''}","${user.gender || ''}","${user.isActive ? 'Active' : 'Inactive'}","${user.role || 'user'}","${user.createdAt}"`
-      ).join('\n');
+    await recordAudit(req, {
+      action: 'settings.two_factor_policy',
+      targetType: 'setting',
+      targetIds: ['twoFactor.requiredRoles'],
+      changes: [{ field: 'requiredRoles', before: previousRoles, after: savedRoles }]
+    });
 
-      const csvContent = csvHeader + csvData;
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: {
+        requiredRoles: savedRoles
+      }
+    });
 
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename=users-export.csv');
-      res.send(csvContent);
-    } else {
-      // Return JSON format
-      res.status(200).json({
-        success: true,
-        data: {
-          users,
-          exportInfo: {
-            format: 'json',
-            totalUsers: users.length,
-            exportedAt: new Date().toISOString()
-          }
-        }
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset a user's two-factor authentication (Admin only)
+// @route   DELETE /api/admin/users/:id/two-factor
+// @access  Private/Admin
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
       });
     }
 
+    if (!(await canManageUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Managing admin accounts requires the admins:manage permission'
+      });
+    }
+
+    const wasEnabled = Boolean(user.twoFactor && user.twoFactor.enabled);
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.two_factor_reset',
+      targetIds: [user._id],
+      changes: [{ field: 'twoFactor.enabled', before: wasEnabled, after: false }]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset successfully. The user can enroll again.',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
   } catch (error) {
-    console.error('Export users error:', error);
+    console.error('Reset user two-factor error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -651,6 +1254,16 @@ module.exports = {
   deleteUser,
   toggleUserStatus,
   getDashboardStats,
-  bulkOperations,
-  exportUsers
+  exportUsers,
+  getDeletedUsers,
+  restoreDeletedUser,
+  unlockUser,
+  getAdmins,
+  createAdmin,
+  demoteAdmin,
+  getRoles,
+  updateRolePermissions,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor
 };
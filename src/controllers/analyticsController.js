@@ -0,0 +1,147 @@
+const {
+  BREAKDOWN_FIELDS,
+  MAX_COHORT_WEEKS,
+  parseAnalyticsRange,
+  getSignupSeries,
+  getActiveUserSeries,
+  getSignupCohorts,
+  getSignupBreakdown
+} = require('../utils/analytics');
+const { getUserSettings } = require('../utils/userSettings');
+const { analyticsConfig } = require('../config/analytics');
+
+// Parse the range of an analytics request, or send a validation error
+// response. Without a tz parameter, the staff member's time zone is used.
+const loadRange = async (req, res, options) => {
+  const { timezone } = await getUserSettings(req.user);
+  const { range, errors } = parseAnalyticsRange(req.query, {
+    ...options,
+    defaultTimezone: timezone || analyticsConfig.defaultTimezone
+  });
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+    return null;
+  }
+  return range;
+};
+
+// @desc    Get signups per day, week or month
+// @route   GET /api/admin/analytics/signups
+// @access  Private/Admin
+const getSignups = async (req, res) => {
+  try {
+    const range = await loadRange(req, res);
+    if (!range) return;
+
+    res.status(200).json({
+      success: true,
+      data: await getSignupSeries(range, { fresh: req.query.fresh === 'true' })
+    });
+
+  } catch (error) {
+    console.error('Get signup analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get daily, weekly or monthly active users from logins
+// @route   GET /api/admin/analytics/active-users
+// @access  Private/Admin
+const getActiveUsers = async (req, res) => {
+  try {
+    const range = await loadRange(req, res);
+    if (!range) return;
+
+    res.status(200).json({
+      success: true,
+      data: await getActiveUserSeries(range, { fresh: req.query.fresh === 'true' })
+    });
+
+  } catch (error) {
+    console.error('Get active user analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get weekly signup cohorts with retention
+// @route   GET /api/admin/analytics/cohorts
+// @access  Private/Admin
+const getCohorts = async (req, res) => {
+  try {
+    const weeks = req.query.weeks === undefined ? 8 : Number(req.query.weeks);
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_COHORT_WEEKS) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [`weeks must be a whole number from 1 to ${MAX_COHORT_WEEKS}`]
+      });
+    }
+
+    const range = await loadRange(req, res, { intervals: ['week'] });
+    if (!range) return;
+
+    res.status(200).json({
+      success: true,
+      data: await getSignupCohorts(range, weeks)
+    });
+
+  } catch (error) {
+    console.error('Get cohort analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get signups over time broken down by country or gender
+// @route   GET /api/admin/analytics/breakdown
+// @access  Private/Admin
+const getBreakdown = async (req, res) => {
+  try {
+    const { by } = req.query;
+    if (!BREAKDOWN_FIELDS[by]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [`by must be one of: ${Object.keys(BREAKDOWN_FIELDS).join(', ')}`]
+      });
+    }
+
+    const range = await loadRange(req, res);
+    if (!range) return;
+
+    res.status(200).json({
+      success: true,
+      data: await getSignupBreakdown(range, by, { fresh: req.query.fresh === 'true' })
+    });
+
+  } catch (error) {
+    console.error('Get breakdown analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSignups,
+  getActiveUsers,
+  getCohorts,
+  getBreakdown
+};
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { toCsvRow } = require('../utils/csv');
+const { writeToResponse } = require('../utils/responseStream');
+
+// Columns of the CSV export
+const AUDIT_CSV_COLUMNS = [
+  { header: 'Time', value: entry => entry.createdAt },
+  { header: 'Actor ID', value: entry => entry.actor },
+  { header: 'Actor Email', value: entry => entry.actorEmail },
+  { header: 'Actor Role', value: entry => entry.actorRole },
+  { header: 'Action', value: entry => entry.action },
+  { header: 'Target Type', value: entry => entry.targetType },
+  { header: 'Target IDs', value: entry => entry.targetIds.join(' ') },
+  { header: 'Changes', value: entry => entry.changes },
+  { header: 'Metadata', value: entry => entry.metadata },
+  { header: 'IP Address', value: entry => entry.ipAddress },
+  { header: 'User Agent', value: entry => entry.userAgent }
+];
+
+// Stream audit entries from a cursor to the response as CSV, waiting when
+// the response buffer is full
+const streamAuditCsv = async (cursor, res) => {
+  // Stop reading from the database if the client goes away
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename=audit-log.csv');
+
+  try {
+    await writeToResponse(res, toCsvRow(AUDIT_CSV_COLUMNS.map(column => column.header)));
+    for await (const entry of cursor) {
+      if (closed) break;
+      await writeToResponse(res, toCsvRow(AUDIT_CSV_COLUMNS.map(column => column.value(entry))));
+    }
+    if (!closed) res.end();
+  } finally {
+    await cursor.close();
+  }
+};
+
+// Build the query filter from request query parameters
+const buildAuditFilter = (query) => {
+  const filter = {};
+  const errors = [];
+
+  if (query.actor) {
+    if (mongoose.Types.ObjectId.isValid(query.actor)) {
+      filter.actor = query.actor;
+    } else {
+      errors.push('actor must be a valid user ID');
+    }
+  }
+
+  if (query.target) {
+    filter.targetIds = String(query.target);
+  }
+
+  if (query.action) {
+    const actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+
+  ['from', 'to'].forEach(key => {
+    if (!query[key]) return;
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) {
+      errors.push(`${key} must be a valid date`);
+      return;
+    }
+    filter.createdAt = filter.createdAt || {};
+    filter.createdAt[key === 'from' ? '$gte' : '$lte'] = date;
+  });
+
+  return { filter, errors };
+};
+
+// @desc    Search the audit log, as JSON or CSV (Admin only)
+// @route   GET /api/admin/audit
+// @access  Private/Admin
+const getAuditLogs = async (req, res) => {
+  try {
+    const { filter, errors } = buildAuditFilter(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      // Stream entries from a cursor instead of loading them all
+      const cursor = AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .lean()
+        .cursor();
+
+      return await streamAuditCsv(cursor, res);
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const skip = (page - 1) * limit;
+
+    const [entries, totalEntries] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalEntries / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalEntries,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+
+    // A CSV export already started - all we can do is cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
@@ -1,17 +1,53 @@
 const User = require('../models/User');
+const UserToken = require('../models/UserToken');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const {
+  validatePassword,
+  isPasswordReused,
+  hashPassword,
+  applyNewPassword
+} = require('../utils/passwordPolicy');
 const { uploadToCloudinary } = require('../config/cloudinary');
 const { safeDeleteFile } = require('../utils/fileUtils');
+const {
+  issueTokens,
+  generateAccessToken,
+  verifyMfaToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findUserToken,
+  consumeUserToken
+} = require('../utils/tokenUtils');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendReactivationEmail
+} = require('../utils/accountEmails');
+const { authConfig } = require('../config/auth');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  sendThrottledResponse
+} = require('../utils/loginThrottle');
+const { TWO_FACTOR_SECRET_FIELDS, verifyTwoFactorCode } = require('../utils/twoFactor');
+const {
+  authenticatePassword,
+  completeLogin,
+  sendLoginError,
+  finishPasswordLogin
+} = require('../utils/loginFlow');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { canSelfReactivate, reactivateOwnAccount } = require('../utils/deactivation');
+const { emitUserCreated } = require('../utils/userEvents');
+const {
+  isPendingInvitation,
+  sendInvitation,
+  getInvitationResendWait,
+  completeInvitation
+} = require('../utils/invitations');
 const fs = require('fs');
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
-  });
-};
-
 // @desc    Register a new user
 // @route   POST /api/auth/signup
 // @access  Public
@@ -20,7 +56,6 @@ const signup = async (req, res) => {
     const {
       firstName,
       lastName,
-      email,
       password,
       dateOfBirth,
       phoneNumber,
@@ -29,6 +64,31 @@ const signup = async (req, res) => {
       bio
     } = req.body;
 
+    // Only a plain string is used as an email (an object would be a query operator)
+    const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+    if (!email) {
+      if (req.file && req.file.path) {
+        safeDeleteFile(req.file.path);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // Check password against the password policy
+    const passwordErrors = validatePassword(password, { email, firstName, lastName });
+    if (passwordErrors.length > 0) {
+      if (req.file && req.file.path) {
+        safeDeleteFile(req.file.path);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors
+      });
+    }
+
     // Handle profile picture upload
     let profilePictureUrl = null;
     if (req.file) {
@@ -79,7 +139,27 @@ const signup = async (req, res) => {
     }
 
     // Check if user already exists
-    const existingUser = await User.findOne({ email });
+    // Include deleted users - their email stays reserved until they are purged
+    const existingUser = await User.findOne({ email }).withDeleted();
+
+    // Signing up does not prove ownership of the email, so a pending
+    // invitation is never taken over here - the invitee gets their link again
+    if (isPendingInvitation(existingUser)) {
+      if (getInvitationResendWait(existingUser) === 0) {
+        const inviteResult = await sendInvitation(existingUser);
+        if (!inviteResult.success) {
+          console.error('Failed to resend invitation email to:', existingUser.email);
+        }
+      }
+      return res.status(409).json({
+        success: false,
+        message: 'This email has a pending invitation. Please use the link in your invitation email to set up your account.',
+        data: {
+          invitationPending: true
+        }
+      });
+    }
+
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -90,24 +170,14 @@ const signup = async (req, res) => {
     // Validate and process phone number
     let processedPhoneNumber = phoneNumber;
     if (phoneNumber) {
-      // Remove any spaces or special characters except + and digits
-      processedPhoneNumber = phoneNumber.replace(/[^\d+]/g, '');
-      
-      // Ensure it starts with +
-      if (!processedPhoneNumber.startsWith('+')) {
-        return res.status(400).json({
-          success: false,
-          message: 'Phone number must start with country code (e.g., +91 for India)'
-        });
-      }
-
-      // Validate phone number format
-      if (!/^\+[1-9]\d{1,14}$/.test(processedPhoneNumber)) {
+      const phoneResult = normalizePhoneNumber(phoneNumber);
+      if (phoneResult.error) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid phone number format. Please include country code (e.g., +911234567890)'
+          message: phoneResult.error
         });
       }
+      processedPhoneNumber = phoneResult.phoneNumber;
 
       // Check if phone number already exists
       const existingPhoneUser = await User.findOne({ phoneNumber: processedPhoneNumber });
@@ -120,8 +190,7 @@ const signup = async (req, res) => {
     }
 
     // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const hashedPassword = await hashPassword(password);
 
     // Create new user
     const user = new User({
@@ -139,11 +208,30 @@ const signup = async (req, res) => {
 
     // Save user to database
     const savedUser = await user.save();
+    emitUserCreated(savedUser);
 
-    // Generate JWT token
-    const token = generateToken(savedUser._id);
+    // Send verification email (signup still succeeds if delivery fails)
+    const emailResult = await sendVerificationEmail(savedUser);
+    if (!emailResult.success) {
+      console.error('Failed to send verification email to:', savedUser.email);
+    }
+
+    // Unverified accounts cannot log in until the email is confirmed
+    if (authConfig.requireEmailVerification) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Please check your email to verify your account.',
+        data: {
+          user: savedUser.getPublicProfile(),
+          verificationRequired: true
+        }
+      });
+    }
+
+    // Start a session and issue tokens
+    const { token, refreshToken } = await issueTokens({ userId: savedUser._id }, req);
 
-    // Return user data (without password) and token
+    // Return user data (without password) and tokens
     const userResponse = savedUser.getPublicProfile();
 
     res.status(201).json({
@@ -151,7 +239,8 @@ const signup = async (req, res) => {
       message: 'User registered successfully',
       data: {
         user: userResponse,
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -184,12 +273,12 @@ const signup = async (req, res) => {
   }
 };
 
-// @desc    Login user or admin
+// @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
 const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, reactivate } = req.body;
 
     // Validate input
     if (!email || !password) {
@@ -199,98 +288,88 @@ const login = async (req, res) => {
       });
     }
 
-    // Check if it's admin login
-    const adminEmail = process.env.ADMIN_EMAIL;
-    const adminPassword = process.env.ADMIN_PASSWORD;
-
-    if (adminEmail && adminPassword && email === adminEmail) {
-      // Admin login attempt
-      if (password === adminPassword) {
-        // Create admin user object for JWT
-        const adminUser = {
-          _id: 'admin',
-          email: adminEmail,
-          role: 'admin',
-          firstName: 'Admin',
-          lastName: 'User',
-          isActive: true
-        };
-
-        // Generate JWT token for admin
-        const token = jwt.sign(
-          { 
-            userId: adminUser._id,
-            email: adminUser.email,
-            role: adminUser.role
-          },
-          process.env.JWT_SECRET,
-          { expiresIn: '30d' }
-        );
-
-        res.status(200).json({
-          success: true,
-          message: 'Admin login successful',
-          data: {
-            user: adminUser,
-            token
-          }
-        });
-        return;
-      } else {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid email or password'
-        });
-      }
+    const result = await authenticatePassword({ email, password, req, reactivate: reactivate === true });
+    if (result.error) {
+      return sendLoginError(res, result);
     }
 
-    // Regular user login
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
+    await finishPasswordLogin(result.user, req, res, 'Login successful', { reactivate: result.reactivate });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA token and a verification code or recovery code are required'
+      });
+    }
+
+    const decoded = verifyMfaToken(mfaToken);
+    if (!decoded) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Login session expired. Please log in again.'
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
+    // A deactivated account can only get this far if the user confirmed reactivating it
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    const reactivate = Boolean(decoded.reactivate) && canSelfReactivate(user);
+    if (!user || (!user.isActive && !reactivate) || !user.twoFactor.enabled) {
       return res.status(401).json({
         success: false,
-        message: 'Account is deactivated. Please contact support.'
+        message: 'Login session expired. Please log in again.'
       });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
+    // Two-factor codes count towards the same lockout as passwords
+    const attemptCheck = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (!attemptCheck.allowed) {
+      return sendThrottledResponse(res, attemptCheck);
+    }
+
+    const result = await verifyTwoFactorCode(user, { code, recoveryCode });
+    if (!result.valid) {
+      await recordLoginFailure({ email: user.email, ip: req.ip });
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Invalid verification code'
       });
     }
 
-    // Update last login
-    user.lastLoginAt = new Date();
-    await user.save();
+    if (reactivate) {
+      await reactivateOwnAccount(user);
+    }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    const loginData = await completeLogin(user, req);
 
-    // Return user data (without password) and token
-    const userResponse = user.getPublicProfile();
+    if (result.usedRecoveryCode) {
+      loginData.remainingRecoveryCodes = result.remainingRecoveryCodes;
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: userResponse,
-        token
-      }
+      message: reactivate ? 'Account reactivated successfully' : 'Login successful',
+      data: loginData
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -313,40 +392,637 @@ const getMe = async (req, res) => {
       });
     }
 
-    // Handle admin user differently
-    if (user._id === 'admin' && user.role === 'admin') {
-      // For admin users, return the user object directly
-      res.status(200).json({
-        success: true,
-        data: {
-          user: user,
-          phoneDetails: null // Admin doesn't have phone details
-        }
+    const userResponse = user.getPublicProfile();
+
+    // Add phone number details to response
+    const phoneDetails = {
+      fullNumber: user.phoneNumber,
+      countryCode: user.getCountryCode(),
+      numberWithoutCountryCode: user.getPhoneNumberWithoutCountryCode(),
+      isValid: user.isValidPhoneNumber(),
+      formattedNumber: user.getFormattedPhoneNumber()
+    };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: userResponse,
+        phoneDetails
+      }
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
       });
-    } else {
-      // For regular users, use the Mongoose model methods
-      const userResponse = user.getPublicProfile();
-
-      // Add phone number details to response
-      const phoneDetails = {
-        fullNumber: user.phoneNumber,
-        countryCode: user.getCountryCode(),
-        numberWithoutCountryCode: user.getPhoneNumberWithoutCountryCode(),
-        isValid: user.isValidPhoneNumber(),
-        formattedNumber: user.getFormattedPhoneNumber()
-      };
-
-      res.status(200).json({
-        success: true,
-        data: {
-          user: userResponse,
-          phoneDetails
+    }
+
+    const userToken = await consumeUserToken(token, 'email_verification');
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userToken.user,
+      { isVerified: true },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || user.isVerified) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Throttle: enforce a cooldown between emails and an hourly cap
+    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const recentTokens = await UserToken.find({
+      user: user._id,
+      purpose: 'email_verification',
+      createdAt: { $gte: oneHourAgo }
+    }).sort({ createdAt: -1 }).select('createdAt');
+
+    const cooldownMs = authConfig.verificationResendCooldownSeconds * 1000;
+    const lastSentAt = recentTokens.length > 0 ? recentTokens[0].createdAt.getTime() : 0;
+
+    let retryAfterSeconds = 0;
+    if (Date.now() - lastSentAt < cooldownMs) {
+      retryAfterSeconds = Math.ceil((lastSentAt + cooldownMs - Date.now()) / 1000);
+    } else if (recentTokens.length >= authConfig.verificationResendMaxPerHour) {
+      const oldestSentAt = recentTokens[recentTokens.length - 1].createdAt.getTime();
+      retryAfterSeconds = Math.ceil((oldestSentAt + 60 * 60 * 1000 - Date.now()) / 1000);
+    }
+
+    if (retryAfterSeconds > 0) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many verification emails requested. Please try again later.',
+        retryAfter: retryAfterSeconds
+      });
+    }
+
+    const emailResult = await sendVerificationEmail(user);
+    if (!emailResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification email. Please try again later.'
+      });
+    }
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Request a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Invitees without a password get their invitation link again instead
+    if (isPendingInvitation(user)) {
+      if (getInvitationResendWait(user) === 0) {
+        const inviteResult = await sendInvitation(user);
+        if (!inviteResult.success) {
+          console.error('Failed to resend invitation email to:', user.email);
         }
+      }
+      return res.status(200).json(genericResponse);
+    }
+
+    // Silently skip if a reset email was sent very recently
+    const cooldownStart = new Date(Date.now() - authConfig.passwordResetCooldownSeconds * 1000);
+    const recentToken = await UserToken.findOne({
+      user: user._id,
+      purpose: 'password_reset',
+      createdAt: { $gte: cooldownStart }
+    });
+    if (recentToken) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const emailResult = await sendPasswordResetEmail(user);
+    if (!emailResult.success) {
+      console.error('Failed to send password reset email to:', user.email);
+    }
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset password with a token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token and new password are required'
+      });
+    }
+
+    // Validate against the policy before using up the token
+    const resetToken = await findUserToken(token, 'password_reset');
+    const user = resetToken
+      ? await User.findById(resetToken.user).select('+passwordHistory')
+      : null;
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired password reset link'
+      });
+    }
+
+    const passwordErrors = validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors
+      });
+    }
+
+    if (await isPasswordReused(password, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot reuse a recent password'
       });
     }
 
+    const userToken = await consumeUserToken(token, 'password_reset');
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired password reset link'
+      });
+    }
+
+    // Hash and save the new password. Using the emailed link proves
+    // ownership of the address, so the email counts as verified.
+    await applyNewPassword(user, password);
+    user.isVerified = true;
+    await user.save();
+
+    // Log out everywhere - existing sessions may belong to whoever knew the old password
+    await revokeUserSessions(user._id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Email a reactivation link to a user who deactivated their account
+// @route   POST /api/auth/reactivation-request
+// @access  Public
+const requestReactivation = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // Same response whether or not the account exists or can be reactivated
+    const genericResponse = {
+      success: true,
+      message: 'If a deactivated account exists for this email, a reactivation link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!canSelfReactivate(user)) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Silently skip if a reactivation email was sent very recently
+    const cooldownStart = new Date(Date.now() - authConfig.reactivationCooldownSeconds * 1000);
+    const recentToken = await UserToken.findOne({
+      user: user._id,
+      purpose: 'reactivation',
+      createdAt: { $gte: cooldownStart }
+    });
+    if (recentToken) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const emailResult = await sendReactivationEmail(user);
+    if (!emailResult.success) {
+      console.error('Failed to send reactivation email to:', user.email);
+    }
+
+    res.status(200).json(genericResponse);
+
+  } catch (error) {
+    console.error('Request reactivation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reactivate a deactivated account with a token from the reactivation email
+// @route   POST /api/auth/reactivate
+// @access  Public
+const reactivateAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reactivation token is required'
+      });
+    }
+
+    const userToken = await consumeUserToken(token, 'reactivation');
+    const user = userToken ? await User.findById(userToken.user) : null;
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reactivation link'
+      });
+    }
+
+    // Staff may have suspended the account since the link was sent
+    if (!canSelfReactivate(user)) {
+      return res.status(400).json({
+        success: false,
+        message: user.isActive
+          ? 'Account is already active'
+          : 'This account cannot be reactivated. Please contact support.'
+      });
+    }
+
+    await reactivateOwnAccount(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account reactivated successfully. Please log in.'
+    });
+
+  } catch (error) {
+    console.error('Reactivate account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept an invitation: set a password, complete the profile and log in
+// @route   POST /api/auth/accept-invite
+// @access  Public
+const acceptInvite = async (req, res) => {
+  try {
+    const {
+      token,
+      password,
+      firstName,
+      lastName,
+      dateOfBirth,
+      phoneNumber,
+      gender,
+      address,
+      bio
+    } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation token and password are required'
+      });
+    }
+
+    // The token is only used up once the account is set up, so a
+    // validation error does not waste the link
+    const inviteToken = await findUserToken(token, 'invite');
+    const user = inviteToken ? await User.findById(inviteToken.user) : null;
+
+    if (!isPendingInvitation(user) || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation link'
+      });
+    }
+
+    const passwordErrors = validatePassword(password, {
+      email: user.email,
+      firstName: firstName || user.firstName,
+      lastName: lastName || user.lastName
+    });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors
+      });
+    }
+
+    // Validate and process phone number
+    let processedPhoneNumber;
+    if (phoneNumber) {
+      const phoneResult = normalizePhoneNumber(phoneNumber);
+      if (phoneResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: phoneResult.error
+        });
+      }
+      processedPhoneNumber = phoneResult.phoneNumber;
+
+      const existingPhoneUser = await User.findOne({ phoneNumber: processedPhoneNumber, _id: { $ne: user._id } });
+      if (existingPhoneUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Phone number already registered'
+        });
+      }
+    }
+
+    await completeInvitation(user, {
+      password,
+      profile: {
+        firstName,
+        lastName,
+        dateOfBirth,
+        phoneNumber: processedPhoneNumber,
+        gender,
+        address,
+        bio
+      }
+    });
+
+    const loginData = await completeLogin(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: loginData
+    });
+
+  } catch (error) {
+    console.error('Accept invite error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change password for the logged in user
+// @route   PUT /api/auth/password
+// @access  Private
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword || typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordErrors = validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors: passwordErrors
+      });
+    }
+
+    if (await isPasswordReused(newPassword, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot reuse a recent password'
+      });
+    }
+
+    await applyNewPassword(user, newPassword);
+    await user.save();
+
+    // Keep the current session, log out everywhere else
+    await revokeUserSessions(user._id, 'password_change', req.authSession._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (result.error === 'reused') {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Session revoked, please log in again.'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const { session } = result;
+
+    // Make sure the session owner can still log in
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await revokeSession(session._id, 'logout');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const token = generateAccessToken({ userId: session.userId }, session._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken: result.refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -355,16 +1031,22 @@ const getMe = async (req, res) => {
   }
 };
 
-// @desc    Logout user
+// @desc    Logout user (revokes the current session, or all sessions)
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res) => {
   try {
-    // In a real application, you might want to blacklist the token
-    // For now, we'll just return a success message
+    const { allDevices } = req.body || {};
+
+    if (allDevices) {
+      await revokeUserSessions(req.authSession.userId, 'logout_all');
+    } else {
+      await revokeSession(req.authSession._id, 'logout');
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully'
+      message: allDevices ? 'Logged out from all devices successfully' : 'Logged out successfully'
     });
 
   } catch (error) {
@@ -392,23 +1074,14 @@ const updatePhoneNumber = async (req, res) => {
     }
 
     // Validate and process phone number
-    let processedPhoneNumber = phoneNumber.replace(/[^\d+]/g, '');
-    
-    // Ensure it starts with +
-    if (!processedPhoneNumber.startsWith('+')) {
-      return res.status(400).json({
-        success: false,
-        message: 'Phone number must start with country code (e.g., +91 for India)'
-      });
-    }
-
-    // Validate phone number format
-    if (!/^\+[1-9]\d{1,14}$/.test(processedPhoneNumber)) {
+    const phoneResult = normalizePhoneNumber(phoneNumber);
+    if (phoneResult.error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid phone number format. Please include country code (e.g., +911234567890)'
+        message: phoneResult.error
       });
     }
+    const processedPhoneNumber = phoneResult.phoneNumber;
 
     // Check if phone number already exists for another user
     const existingPhoneUser = await User.findOne({ 
@@ -566,7 +1239,17 @@ const updateProfilePicture = async (req, res) => {
 module.exports = {
   signup,
   login,
+  verifyTwoFactorLogin,
   getMe,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  acceptInvite,
+  requestReactivation,
+  reactivateAccount,
+  changePassword,
+  refresh,
   logout,
   updatePhoneNumber,
   updateProfilePicture
@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const BulkJob = require('../models/BulkJob');
+const { hasPermission } = require('../utils/permissions');
+const { buildSegmentedUserFilter } = require('../utils/segments');
+const { recordAudit } = require('../utils/auditLog');
+const {
+  BULK_SYNC_LIMIT,
+  BULK_MAX_TARGETS,
+  BULK_OPERATIONS,
+  runBulkJob
+} = require('../utils/bulkOperations');
+
+// Fields shown for each job in job lists (the per-user report is left out)
+const JOB_SUMMARY_FIELDS = '-results -targetIds';
+
+// @desc    Bulk operations (Admin only)
+// @route   POST /api/admin/users/bulk
+// @access  Private/Admin
+const bulkOperations = async (req, res) => {
+  try {
+    const { operation, userIds, filter, segment, params = {}, dryRun = false } = req.body;
+    const runInBackground = req.body.async === true;
+
+    const definition = BULK_OPERATIONS[operation];
+    if (!definition) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid operation. Supported operations: ${Object.keys(BULK_OPERATIONS).join(', ')}`
+      });
+    }
+
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      return res.status(400).json({
+        success: false,
+        message: 'params must be an object'
+      });
+    }
+
+    const hasUserIds = Array.isArray(userIds) && userIds.length > 0;
+    const hasFilter = Boolean(filter && typeof filter === 'object' && !Array.isArray(filter)) || Boolean(segment);
+    if (hasUserIds === hasFilter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a non-empty userIds array, or a filter and/or a saved segment'
+      });
+    }
+
+    // A saved segment can be given on its own or narrowed with a filter
+    const criteria = hasFilter ? { ...(filter || {}), ...(segment ? { segment: String(segment) } : {}) } : null;
+    const { filter: userFilter, errors: filterErrors } = hasFilter
+      ? await buildSegmentedUserFilter(criteria, req.user)
+      : { filter: null, errors: [] };
+    if (filterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: filterErrors
+      });
+    }
+
+    // An empty filter would select every user
+    if (hasFilter && Object.keys(userFilter).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'filter must contain at least one condition (same parameters as the user list)'
+      });
+    }
+
+    if (hasUserIds && !userIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'userIds must be valid user IDs'
+      });
+    }
+
+    // Prevent admin from performing operations on themselves (IDs are
+    // compared as ObjectIds, so another spelling of the same ID is caught)
+    if (hasUserIds && userIds.some(id => req.user._id.equals(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot perform bulk operations on your own account'
+      });
+    }
+
+    const paramsError = definition.validate ? definition.validate(params) : null;
+    if (paramsError) {
+      return res.status(400).json({
+        success: false,
+        message: paramsError
+      });
+    }
+
+    // Every operation needs the permission of its single-user route on top of users:bulk
+    const requiredPermissions = [...definition.permissions];
+    if (operation === 'changeRole' && params.role === 'admin') {
+      requiredPermissions.push('admins:manage');
+    }
+    if (!(await hasPermission(req.user, ...requiredPermissions))) {
+      return res.status(403).json({
+        success: false,
+        message: `This operation requires: ${requiredPermissions.join(', ')}`
+      });
+    }
+
+    // Resolve targets (filters never include the acting admin)
+    const targetFilter = hasUserIds
+      ? { _id: { $in: userIds } }
+      : { $and: [userFilter, { _id: { $ne: req.user._id } }] };
+
+    const targets = await User.find(targetFilter)
+      .select('email role isActive')
+      .limit(BULK_MAX_TARGETS + 1)
+      .lean();
+
+    if (targets.length > BULK_MAX_TARGETS) {
+      return res.status(400).json({
+        success: false,
+        message: `Bulk operations are limited to ${BULK_MAX_TARGETS} users. Narrow the filter.`
+      });
+    }
+
+    // Admin accounts can only be targeted with admins:manage
+    const adminTargets = targets.filter(target => target.role === 'admin').length;
+    if (adminTargets > 0 && !(await hasPermission(req.user, 'admins:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Managing admin accounts requires the admins:manage permission'
+      });
+    }
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `${targets.length} users would be affected`,
+        data: {
+          dryRun: true,
+          operation,
+          affectedCount: targets.length,
+          adminCount: adminTargets,
+          sample: targets.slice(0, 10).map(target => ({ _id: target._id, email: target.email }))
+        }
+      });
+    }
+
+    if (targets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No users match the selection'
+      });
+    }
+
+    const job = await BulkJob.create({
+      operation,
+      params,
+      criteria: hasUserIds ? { userIds } : { filter: criteria },
+      targetIds: targets.map(target => target._id),
+      total: targets.length,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'user.bulk',
+      targetIds: targets.map(target => target._id),
+      metadata: {
+        operation,
+        params,
+        jobId: job._id.toString(),
+        targets: targets.map(target => ({
+          id: target._id.toString(),
+          email: target.email,
+          role: target.role,
+          isActive: target.isActive
+        }))
+      }
+    });
+
+    // Large batches run in the background; poll the job for progress
+    if (runInBackground || targets.length > BULK_SYNC_LIMIT) {
+      setImmediate(() => {
+        runBulkJob(job).catch(error => console.error('Bulk job error:', error));
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: `Bulk ${operation} started for ${targets.length} users`,
+        data: {
+          jobId: job._id,
+          total: targets.length,
+          statusUrl: `/api/admin/users/bulk/${job._id}`
+        }
+      });
+    }
+
+    const finishedJob = await runBulkJob(job);
+
+    res.status(200).json({
+      success: finishedJob.status === 'completed',
+      message: `${finishedJob.succeeded} of ${finishedJob.total} users updated (${operation})`,
+      data: {
+        jobId: finishedJob._id,
+        affectedCount: finishedJob.succeeded,
+        failedCount: finishedJob.failed,
+        results: finishedJob.results
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk operations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List recent bulk jobs (Admin only)
+// @route   GET /api/admin/users/bulk
+// @access  Private/Admin
+const getBulkJobs = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const jobs = await BulkJob.find()
+      .select(JOB_SUMMARY_FIELDS)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bulk jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get progress and per-user report of a bulk job (Admin only)
+// @route   GET /api/admin/users/bulk/:jobId
+// @access  Private/Admin
+const getBulkJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk job not found'
+      });
+    }
+
+    const job = await BulkJob.findById(jobId)
+      .select('-targetIds')
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk job not found'
+      });
+    }
+
+    // Optionally only report failures
+    const results = req.query.failedOnly === 'true'
+      ? job.results.filter(result => !result.success)
+      : job.results;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        job: {
+          ...job.toObject(),
+          results,
+          progress: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bulk job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  bulkOperations,
+  getBulkJobs,
+  getBulkJob
+};
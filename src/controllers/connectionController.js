@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+
+// Fields shown for the other user in connection lists
+const CONNECTION_USER_FIELDS = 'firstName lastName profilePicture';
+
+// @desc    List connections and pending requests
+// @route   GET /api/user/connections
+// @access  Private
+const getConnections = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const connections = await Connection.find({
+      $or: [{ requester: userId }, { recipient: userId }]
+    })
+      .populate('requester', CONNECTION_USER_FIELDS)
+      .populate('recipient', CONNECTION_USER_FIELDS)
+      .sort({ updatedAt: -1 });
+
+    const result = { connections: [], incoming: [], outgoing: [] };
+
+    connections.forEach(connection => {
+      // Skip connections with deleted users
+      if (!connection.requester || !connection.recipient) return;
+
+      const isRequester = connection.requester._id.equals(userId);
+      const entry = {
+        _id: connection._id,
+        user: isRequester ? connection.recipient : connection.requester,
+        status: connection.status,
+        createdAt: connection.createdAt,
+        acceptedAt: connection.acceptedAt
+      };
+
+      if (connection.status === 'accepted') {
+        result.connections.push(entry);
+      } else if (isRequester) {
+        result.outgoing.push(entry);
+      } else {
+        result.incoming.push(entry);
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get connections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a connection request, or accept one from that user
+// @route   POST /api/user/connections/:id
+// @access  Private
+const requestConnection = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (userId.equals(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot connect with yourself'
+      });
+    }
+
+    const otherUser = await User.findById(id);
+    if (!otherUser || !otherUser.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const existing = await Connection.findBetween(userId, otherUser._id);
+
+    if (existing && existing.status === 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already connected with this user'
+      });
+    }
+
+    if (existing && existing.requester.equals(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Connection request already sent'
+      });
+    }
+
+    // The other user already asked - accept their request
+    if (existing) {
+      existing.status = 'accepted';
+      existing.acceptedAt = new Date();
+      await existing.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Connection request accepted',
+        data: {
+          connection: existing
+        }
+      });
+    }
+
+    const connection = await Connection.create({
+      requester: userId,
+      recipient: otherUser._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Connection request sent',
+      data: {
+        connection
+      }
+    });
+
+  } catch (error) {
+    console.error('Request connection error:', error);
+
+    // Two requests crossed - the other one created the pair's connection first
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Connection request already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a connection, or cancel/decline a pending request
+// @route   DELETE /api/user/connections/:id
+// @access  Private
+const removeConnection = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const connection = await Connection.findBetween(req.user._id, id);
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Connection not found'
+      });
+    }
+
+    await connection.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: connection.status === 'accepted' ? 'Connection removed' : 'Connection request removed'
+    });
+
+  } catch (error) {
+    console.error('Remove connection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getConnections,
+  requestConnection,
+  removeConnection
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const { canManageUser } = require('../utils/permissions');
+const {
+  serializeDataExport,
+  getDataExportWait,
+  findUnfinishedDataExport,
+  startDataExport,
+  claimDataExportDownload,
+  removeDataExportFile
+} = require('../utils/dataExports');
+const { recordAudit } = require('../utils/auditLog');
+const { userConfig } = require('../config/users');
+
+// Exports listed to the user
+const EXPORT_HISTORY_LIMIT = 10;
+
+// @desc    Request an archive of all personal data held about the current user
+// @route   POST /api/user/data-export
+// @access  Private
+const requestMyDataExport = async (req, res) => {
+  try {
+    const unfinished = await findUnfinishedDataExport(req.user._id);
+    if (unfinished) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export of your data is already being prepared',
+        data: { dataExport: serializeDataExport(unfinished) }
+      });
+    }
+
+    const retryAfterSeconds = await getDataExportWait(req.user._id);
+    if (retryAfterSeconds > 0) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `You can request an export of your data once every ${userConfig.dataExportCooldownHours} hours. Please try again later.`,
+        retryAfter: retryAfterSeconds
+      });
+    }
+
+    const { dataExport, downloadUrl } = await startDataExport({
+      userId: req.user._id,
+      requestedBy: req.user
+    });
+
+    await recordAudit(req, {
+      action: 'user.data_export',
+      targetIds: [req.user._id],
+      metadata: { exportId: dataExport._id.toString(), requestedByStaff: false }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export is being prepared. We will email you a download link when it is ready.',
+      data: {
+        dataExport: serializeDataExport(dataExport),
+        downloadUrl,
+        expiresHours: userConfig.dataExportExpiresHours
+      }
+    });
+
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the current user's recent data exports
+// @route   GET /api/user/data-export
+// @access  Private
+const getMyDataExports = async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_HISTORY_LIMIT);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        exports: exports.map(serializeDataExport),
+        retryAfter: await getDataExportWait(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download a data export archive (once, before the link expires)
+// @route   GET /api/user/data-export/download/:token
+// @access  Public (the token is the credential)
+const downloadDataExport = async (req, res) => {
+  try {
+    const { dataExport, error } = await claimDataExportDownload(req.params.token);
+
+    if (error === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid download link'
+      });
+    }
+
+    if (error === 'not_ready') {
+      return res.status(409).json({
+        success: false,
+        message: 'This export is still being prepared. Please try again shortly.'
+      });
+    }
+
+    if (error) {
+      return res.status(410).json({
+        success: false,
+        message: dataExport.status === 'failed'
+          ? 'This export could not be prepared. Please request a new one.'
+          : 'This download link has expired or has already been used. Please request a new export.'
+      });
+    }
+
+    if (!dataExport.filePath || !fs.existsSync(dataExport.filePath)) {
+      dataExport.status = 'failed';
+      dataExport.error = 'Archive file is missing';
+      await removeDataExportFile(dataExport);
+      return res.status(410).json({
+        success: false,
+        message: 'This export is no longer available. Please request a new one.'
+      });
+    }
+
+    const fileName = `personal-data-${dataExport.readyAt.toISOString().slice(0, 10)}.zip`;
+    res.download(dataExport.filePath, fileName, (downloadError) => {
+      if (downloadError) {
+        console.error('Data export download error:', dataExport._id.toString(), downloadError);
+      }
+      // The link is single-use, so the archive goes either way
+      removeDataExportFile(dataExport).catch(err => console.error('Remove data export error:', err));
+    });
+
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export all personal data held about a user (data subject request)
+// @route   POST /api/admin/users/:id/data-export
+// @access  Private/Admin
+const adminRequestDataExport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    // Deleted accounts are included: their data is held until purged
+    const user = await User.findById(id).withDeleted().select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.anonymizedAt) {
+      return res.status(410).json({
+        success: false,
+        message: 'This user\'s personal data has already been erased'
+      });
+    }
+
+    if (!(await canManageUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Managing admin accounts requires the admins:manage permission'
+      });
+    }
+
+    const unfinished = await findUnfinishedDataExport(user._id);
+    if (unfinished) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export of this user\'s data is already being prepared',
+        data: { dataExport: serializeDataExport(unfinished) }
+      });
+    }
+
+    const { dataExport, downloadUrl } = await startDataExport({
+      userId: user._id,
+      requestedBy: req.user,
+      requestedByStaff: true
+    });
+
+    await recordAudit(req, {
+      action: 'user.data_export',
+      targetIds: [user._id],
+      metadata: { exportId: dataExport._id.toString(), requestedByStaff: true }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Data export is being prepared. The download link can be used once.',
+      data: {
+        dataExport: serializeDataExport(dataExport),
+        downloadUrl,
+        expiresHours: userConfig.dataExportExpiresHours
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  requestMyDataExport,
+  getMyDataExports,
+  downloadDataExport,
+  adminRequestDataExport
+};
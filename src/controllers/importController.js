@@ -0,0 +1,226 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const UserImport = require('../models/UserImport');
+const { recordAudit } = require('../utils/auditLog');
+const { toCsv } = require('../utils/csv');
+const {
+  MAX_IMPORT_ROWS,
+  IMPORT_MODES,
+  parseImportFile,
+  buildColumnMapping,
+  importUsers
+} = require('../utils/userImport');
+
+// Columns of the downloadable error report
+const ERROR_REPORT_COLUMNS = [
+  { header: 'Row', value: error => error.row },
+  { header: 'Email', value: error => error.email },
+  { header: 'Field', value: error => error.field },
+  { header: 'Error', value: error => error.message }
+];
+
+// Errors included in the JSON response (the full list is in the report)
+const MAX_ERRORS_IN_RESPONSE = 100;
+
+// Multipart fields arrive as strings
+const isTrue = (value) => value === true || value === 'true';
+
+// Pick the file format from the request or the file name
+const detectFormat = (req) => {
+  if (req.body.format) return String(req.body.format).toLowerCase();
+  const extension = path.extname(req.file.originalname).toLowerCase();
+  return extension === '.csv' ? 'csv' : 'ndjson';
+};
+
+// @desc    Import users from a CSV or NDJSON file (Admin only)
+// @route   POST /api/admin/users/import
+// @access  Private/Admin
+const importUsersFromFile = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An import file is required (field name: file)'
+      });
+    }
+
+    const format = detectFormat(req);
+    const mode = req.body.mode || 'skip';
+    const dryRun = isTrue(req.body.dryRun);
+    const sendInvites = isTrue(req.body.sendInvites);
+
+    const errors = [];
+    if (!['csv', 'ndjson'].includes(format)) {
+      errors.push('format must be csv or ndjson');
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+      errors.push(`mode must be one of: ${IMPORT_MODES.join(', ')}`);
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (parseError) {
+        errors.push('mapping must be a JSON object of { "column": "field" }');
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseImportFile(req.file.buffer, format);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the file: ${parseError.message}`
+      });
+    }
+
+    if (parsed.records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file contains no rows'
+      });
+    }
+
+    if (parsed.records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file`
+      });
+    }
+
+    const { columnMap, errors: mappingErrors } = buildColumnMapping(parsed.columns, mapping);
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: mappingErrors
+      });
+    }
+
+    const summary = await importUsers({
+      records: parsed.records,
+      columnMap,
+      mode,
+      dryRun,
+      sendInvites,
+      actor: req.user
+    });
+
+    const userImport = await UserImport.create({
+      fileName: req.file.originalname,
+      format,
+      mode,
+      dryRun,
+      sendInvites,
+      status: summary.status,
+      totalRows: summary.totalRows,
+      created: summary.created,
+      updated: summary.updated,
+      skipped: summary.skipped,
+      failed: summary.failed,
+      invitesSent: summary.invitesSent,
+      rowErrors: summary.rowErrors,
+      createdBy: req.user._id
+    });
+
+    if (!dryRun && summary.status === 'completed') {
+      await recordAudit(req, {
+        action: 'user.import',
+        metadata: {
+          importId: userImport._id.toString(),
+          fileName: req.file.originalname,
+          mode,
+          created: summary.created,
+          updated: summary.updated,
+          skipped: summary.skipped,
+          failed: summary.failed
+        }
+      });
+    }
+
+    const aborted = summary.status === 'aborted';
+    let message;
+    if (aborted) {
+      message = `Import aborted: ${summary.failed} rows have errors or conflicts. No users were changed.`;
+    } else if (dryRun) {
+      message = `Dry run: ${summary.created} would be created, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.failed} failed`;
+    } else {
+      message = `${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.failed} failed`;
+    }
+
+    res.status(aborted ? 409 : 200).json({
+      success: !aborted,
+      message,
+      data: {
+        importId: userImport._id,
+        dryRun,
+        mode,
+        columnMap,
+        totalRows: summary.totalRows,
+        created: summary.created,
+        updated: summary.updated,
+        skipped: summary.skipped,
+        failed: summary.failed,
+        invitesSent: summary.invitesSent,
+        errors: summary.rowErrors.slice(0, MAX_ERRORS_IN_RESPONSE),
+        totalErrors: summary.rowErrors.length,
+        errorReportUrl: summary.rowErrors.length > 0
+          ? `/api/admin/users/imports/${userImport._id}/errors`
+          : null,
+        preview: dryRun ? summary.preview : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Import users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download the error report of an import as CSV (Admin only)
+// @route   GET /api/admin/users/imports/:id/errors
+// @access  Private/Admin
+const getImportErrorReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const userImport = mongoose.Types.ObjectId.isValid(id) ? await UserImport.findById(id) : null;
+    if (!userImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=import-${userImport._id}-errors.csv`);
+    res.send(toCsv(ERROR_REPORT_COLUMNS, userImport.rowErrors));
+
+  } catch (error) {
+    console.error('Get import error report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  importUsersFromFile,
+  getImportErrorReport
+};
@@ -0,0 +1,311 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { generateUnusablePassword } = require('../utils/passwordPolicy');
+const {
+  INVITE_FIELDS,
+  pendingInvitationFilter,
+  isPendingInvitation,
+  canInviteRole,
+  serializeInvite,
+  sendInvitation,
+  getInvitationResendWait,
+  findPendingInvite
+} = require('../utils/invitations');
+const { purgeUser } = require('../utils/userDeletion');
+const { emitUserCreated, emitUserRemoved } = require('../utils/userEvents');
+const { recordAudit } = require('../utils/auditLog');
+
+// Roles an invitation can grant
+const INVITE_ROLES = ['user', 'moderator', 'admin'];
+
+// Load a pending invitation the staff member may manage, or send an error response
+const loadPendingInvite = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid invitation ID'
+    });
+    return null;
+  }
+
+  const user = await findPendingInvite(id);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'Pending invitation not found'
+    });
+    return null;
+  }
+
+  if (!(await canInviteRole(req.user, user.invitation.role))) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to manage invitations for this role'
+    });
+    return null;
+  }
+  return user;
+};
+
+// @desc    Invite a new user by email
+// @route   POST /api/admin/users/invite
+// @access  Private/Admin
+const inviteUser = async (req, res) => {
+  try {
+    const { firstName, lastName, email, role = 'user' } = req.body;
+
+    const errors = [];
+    if (!firstName) errors.push('First name is required');
+    if (!lastName) errors.push('Last name is required');
+    if (!email) errors.push('Email is required');
+    if (!INVITE_ROLES.includes(role)) errors.push(`role must be one of: ${INVITE_ROLES.join(', ')}`);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (!(await canInviteRole(req.user, role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to invite users with this role'
+      });
+    }
+
+    // Include deleted users - their email stays reserved until they are purged
+    const existingUser = await User.findOne({ email: String(email).toLowerCase().trim() }).withDeleted();
+    if (existingUser) {
+      if (isPendingInvitation(existingUser)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This email already has a pending invitation. Resend it instead.',
+          data: {
+            invite: serializeInvite(existingUser)
+          }
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const user = await User.create({
+      firstName,
+      lastName,
+      email,
+      password: generateUnusablePassword(),
+      isVerified: false,
+      invitation: {
+        status: 'pending',
+        role,
+        invitedBy: req.user._id,
+        invitedByEmail: req.user.email,
+        invitedAt: new Date()
+      }
+    });
+    emitUserCreated(user);
+
+    const emailResult = await sendInvitation(user, req.user);
+    if (!emailResult.success) {
+      console.error('Failed to send invitation email to:', user.email);
+    }
+
+    await recordAudit(req, {
+      action: 'user.invite',
+      targetIds: [user._id],
+      metadata: { email: user.email, role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: emailResult.success
+        ? 'Invitation sent successfully'
+        : 'Invitation created but the email could not be sent. Try resending it.',
+      data: {
+        invite: serializeInvite(user),
+        emailSent: emailResult.success
+      }
+    });
+
+  } catch (error) {
+    console.error('Invite user error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    // Handle duplicate key errors
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List pending invitations (including expired ones)
+// @route   GET /api/admin/users/invites
+// @access  Private/Admin
+const getInvites = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = pendingInvitationFilter();
+    if (req.query.expired === 'true') {
+      filter['invitation.expiresAt'] = { $lte: new Date() };
+    } else if (req.query.expired === 'false') {
+      filter['invitation.expiresAt'] = { $gt: new Date() };
+    }
+
+    const [users, totalInvites] = await Promise.all([
+      User.find(filter)
+        .select(INVITE_FIELDS)
+        .sort({ 'invitation.invitedAt': -1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalInvites / limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invites: users.map(serializeInvite),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalInvites,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resend a pending invitation with a new link
+// @route   POST /api/admin/users/invites/:id/resend
+// @access  Private/Admin
+const resendInvite = async (req, res) => {
+  try {
+    const user = await loadPendingInvite(req, res);
+    if (!user) return;
+
+    const retryAfterSeconds = getInvitationResendWait(user);
+    if (retryAfterSeconds > 0) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'This invitation was sent very recently. Please try again later.',
+        retryAfter: retryAfterSeconds
+      });
+    }
+
+    const emailResult = await sendInvitation(user, req.user);
+    if (!emailResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send invitation email. Please try again later.'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.invite_resend',
+      targetIds: [user._id],
+      metadata: { email: user.email, sendCount: user.invitation.sendCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation resent successfully',
+      data: {
+        invite: serializeInvite(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation (removes the pending account)
+// @route   DELETE /api/admin/users/invites/:id
+// @access  Private/Admin
+const revokeInvite = async (req, res) => {
+  try {
+    const user = await loadPendingInvite(req, res);
+    if (!user) return;
+
+    // The account was never used, so it is removed outright and the
+    // email address can be invited or registered again
+    const result = await purgeUser(user);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invitation',
+        error: result.error
+      });
+    }
+    emitUserRemoved(user);
+
+    await recordAudit(req, {
+      action: 'user.invite_revoke',
+      targetIds: [user._id],
+      metadata: { email: user.email, role: user.invitation.role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  inviteUser,
+  getInvites,
+  resendInvite,
+  revokeInvite
+};
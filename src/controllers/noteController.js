@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UserNote = require('../models/UserNote');
+const { serializeNote, getNotesForUser, editNote, canModifyNote, deleteNote } = require('../utils/userNotes');
+const { recordAudit } = require('../utils/auditLog');
+
+// Check the user exists, or send an error response
+const ensureUserExists = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID'
+    });
+    return false;
+  }
+
+  if (!(await User.exists({ _id: id }))) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Load a note on the user in the URL that the staff member may change,
+// or send an error response
+const loadNote = async (req, res) => {
+  const { id, noteId } = req.params;
+  const note = mongoose.Types.ObjectId.isValid(noteId)
+    ? await UserNote.findOne({ _id: noteId, user: id, deletedAt: null })
+    : null;
+
+  if (!note) {
+    res.status(404).json({
+      success: false,
+      message: 'Note not found'
+    });
+    return null;
+  }
+
+  if (!(await canModifyNote(note, req.user))) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the author of a note, or a user with admins:manage, can change it'
+    });
+    return null;
+  }
+  return note;
+};
+
+// Validate note text, or send an error response
+const readNoteBody = (req, res) => {
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+  if (!body) {
+    res.status(400).json({
+      success: false,
+      message: 'Note text is required'
+    });
+    return null;
+  }
+  return body;
+};
+
+// @desc    List internal notes on a user
+// @route   GET /api/admin/users/:id/notes
+// @access  Private/Admin
+const getUserNotes = async (req, res) => {
+  try {
+    if (!(await ensureUserExists(req, res))) return;
+
+    const { notes, total } = await getNotesForUser(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notes,
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add an internal note to a user
+// @route   POST /api/admin/users/:id/notes
+// @access  Private/Admin
+const addUserNote = async (req, res) => {
+  try {
+    const body = readNoteBody(req, res);
+    if (!body) return;
+
+    if (!(await ensureUserExists(req, res))) return;
+
+    const note = await UserNote.create({
+      user: req.params.id,
+      body,
+      author: req.user._id,
+      authorEmail: req.user.email
+    });
+
+    await recordAudit(req, {
+      action: 'user.note_add',
+      targetIds: [req.params.id],
+      metadata: { noteId: note._id.toString() }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: {
+        note: serializeNote(note)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add user note error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Edit an internal note (the previous text is kept in its history)
+// @route   PUT /api/admin/users/:id/notes/:noteId
+// @access  Private/Admin
+const updateUserNote = async (req, res) => {
+  try {
+    const body = readNoteBody(req, res);
+    if (!body) return;
+
+    const note = await loadNote(req, res);
+    if (!note) return;
+
+    if (note.body === body) {
+      return res.status(200).json({
+        success: true,
+        message: 'Note unchanged',
+        data: {
+          note: serializeNote(note)
+        }
+      });
+    }
+
+    editNote(note, body, req.user);
+    await note.save();
+
+    await recordAudit(req, {
+      action: 'user.note_edit',
+      targetIds: [req.params.id],
+      metadata: { noteId: note._id.toString() }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Note updated successfully',
+      data: {
+        note: serializeNote(note)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user note error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete an internal note (hidden, but kept with its history)
+// @route   DELETE /api/admin/users/:id/notes/:noteId
+// @access  Private/Admin
+const deleteUserNote = async (req, res) => {
+  try {
+    const note = await loadNote(req, res);
+    if (!note) return;
+
+    deleteNote(note, req.user);
+    await note.save();
+
+    await recordAudit(req, {
+      action: 'user.note_delete',
+      targetIds: [req.params.id],
+      metadata: {
+        noteId: note._id.toString(),
+        authorEmail: note.authorEmail,
+        createdAt: note.createdAt
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Note deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete user note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUserNotes,
+  addUserNote,
+  updateUserNote,
+  deleteUserNote
+};
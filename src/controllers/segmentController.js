@@ -0,0 +1,272 @@
+const Segment = require('../models/Segment');
+const {
+  normalizeSegmentFilters,
+  visibleSegmentsFilter,
+  findVisibleSegment,
+  canEditSegment,
+  countSegmentMembers
+} = require('../utils/segments');
+const { diffFields, recordAudit } = require('../utils/auditLog');
+
+// Segment fields recorded in the audit log
+const AUDITED_SEGMENT_FIELDS = ['name', 'description', 'filters', 'shared'];
+
+// Shape a segment for responses, with its live member count
+const serializeSegment = async (segment, user, { withCount = true } = {}) => ({
+  _id: segment._id,
+  name: segment.name,
+  description: segment.description,
+  filters: segment.filters,
+  shared: segment.shared,
+  createdBy: segment.createdBy,
+  createdByEmail: segment.createdByEmail,
+  createdAt: segment.createdAt,
+  updatedAt: segment.updatedAt,
+  canEdit: await canEditSegment(user, segment),
+  ...(withCount ? { memberCount: await countSegmentMembers(segment) } : {})
+});
+
+// Send the response for a save error
+const sendSaveError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'You already have a segment with this name'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: validationErrors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+// Load a visible segment the user may edit, or send an error response
+const loadEditableSegment = async (req, res) => {
+  const segment = await findVisibleSegment(req.params.id, req.user);
+  if (!segment) {
+    res.status(404).json({
+      success: false,
+      message: 'Segment not found'
+    });
+    return null;
+  }
+
+  if (!(await canEditSegment(req.user, segment))) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the creator of a segment can change it'
+    });
+    return null;
+  }
+  return segment;
+};
+
+// @desc    List own and shared segments with live member counts
+// @route   GET /api/admin/segments
+// @access  Private/Admin
+const getSegments = async (req, res) => {
+  try {
+    const withCount = req.query.counts !== 'false';
+
+    const segments = await Segment.find(visibleSegmentsFilter(req.user)).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        segments: await Promise.all(segments.map(segment => serializeSegment(segment, req.user, { withCount })))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get segments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a segment with its live member count
+// @route   GET /api/admin/segments/:id
+// @access  Private/Admin
+const getSegment = async (req, res) => {
+  try {
+    const segment = await findVisibleSegment(req.params.id, req.user);
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        segment: await serializeSegment(segment, req.user),
+        usersUrl: `/api/admin/users?segment=${segment._id}`
+      }
+    });
+
+  } catch (error) {
+    console.error('Get segment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Save a user list filter as a segment
+// @route   POST /api/admin/segments
+// @access  Private/Admin
+const createSegment = async (req, res) => {
+  try {
+    const { name, description, shared = false } = req.body;
+
+    const { filters, errors } = normalizeSegmentFilters(req.body.filters);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const segment = await Segment.create({
+      name,
+      description,
+      filters,
+      shared: shared === true,
+      createdBy: req.user._id,
+      createdByEmail: req.user.email
+    });
+
+    await recordAudit(req, {
+      action: 'segment.create',
+      targetType: 'segment',
+      targetIds: [segment._id],
+      metadata: { name: segment.name, filters, shared: segment.shared }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Segment created successfully',
+      data: {
+        segment: await serializeSegment(segment, req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create segment error:', error);
+    sendSaveError(res, error);
+  }
+};
+
+// @desc    Update a segment
+// @route   PUT /api/admin/segments/:id
+// @access  Private/Admin
+const updateSegment = async (req, res) => {
+  try {
+    const { name, description, shared } = req.body;
+
+    let filters;
+    if (req.body.filters !== undefined) {
+      const result = normalizeSegmentFilters(req.body.filters);
+      if (result.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: result.errors
+        });
+      }
+      filters = result.filters;
+    }
+
+    const segment = await loadEditableSegment(req, res);
+    if (!segment) return;
+
+    const before = segment.toObject();
+
+    if (name !== undefined) segment.name = name;
+    if (description !== undefined) segment.description = description;
+    if (shared !== undefined) segment.shared = shared === true;
+    if (filters !== undefined) {
+      segment.filters = filters;
+      segment.markModified('filters');
+    }
+    segment.updatedBy = req.user._id;
+    await segment.save();
+
+    await recordAudit(req, {
+      action: 'segment.update',
+      targetType: 'segment',
+      targetIds: [segment._id],
+      changes: diffFields(before, segment, AUDITED_SEGMENT_FIELDS)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Segment updated successfully',
+      data: {
+        segment: await serializeSegment(segment, req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update segment error:', error);
+    sendSaveError(res, error);
+  }
+};
+
+// @desc    Delete a segment
+// @route   DELETE /api/admin/segments/:id
+// @access  Private/Admin
+const deleteSegment = async (req, res) => {
+  try {
+    const segment = await loadEditableSegment(req, res);
+    if (!segment) return;
+
+    await segment.deleteOne();
+
+    await recordAudit(req, {
+      action: 'segment.delete',
+      targetType: 'segment',
+      targetIds: [segment._id],
+      metadata: { name: segment.name, filters: segment.filters }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Segment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete segment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSegments,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment
+};
@@ -0,0 +1,140 @@
+const {
+  validateSettings,
+  getDefaultSettings,
+  setDefaultSettings,
+  getUserSettings,
+  updateUserSettings
+} = require('../utils/userSettings');
+const { diffFields, recordAudit } = require('../utils/auditLog');
+const { USER_SETTING_OPTIONS } = require('../config/users');
+
+// Send a validation error response for a settings update, or return its values
+const loadSettingsUpdate = (req, res) => {
+  const { values, errors } = validateSettings(req.body);
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+    return null;
+  }
+  return values;
+};
+
+// @desc    Get the current user's settings
+// @route   GET /api/user/settings
+// @access  Private
+const getMySettings = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        settings: await getUserSettings(req.user),
+        options: USER_SETTING_OPTIONS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change some of the current user's settings (null resets one to its default)
+// @route   PUT /api/user/settings
+// @access  Private
+const updateMySettings = async (req, res) => {
+  try {
+    const values = loadSettingsUpdate(req, res);
+    if (!values) return;
+
+    const settings = await updateUserSettings(req.user._id, values);
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: {
+        settings
+      }
+    });
+
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the default settings of users (Admin only)
+// @route   GET /api/admin/settings/user-defaults
+// @access  Private/Admin
+const getUserSettingDefaults = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        defaults: await getDefaultSettings(),
+        options: USER_SETTING_OPTIONS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get default user settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change the default settings of users (Admin only)
+// @route   PUT /api/admin/settings/user-defaults
+// @access  Private/Admin
+const updateUserSettingDefaults = async (req, res) => {
+  try {
+    const values = loadSettingsUpdate(req, res);
+    if (!values) return;
+
+    const previousDefaults = await getDefaultSettings();
+    const defaults = await setDefaultSettings(values, req.user._id.toString());
+
+    await recordAudit(req, {
+      action: 'settings.user_defaults',
+      targetType: 'setting',
+      targetIds: ['userSettings.defaults'],
+      changes: diffFields(previousDefaults, defaults, Object.keys(values))
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Default user settings updated successfully',
+      data: {
+        defaults
+      }
+    });
+
+  } catch (error) {
+    console.error('Update default user settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMySettings,
+  updateMySettings,
+  getUserSettingDefaults,
+  updateUserSettingDefaults
+};
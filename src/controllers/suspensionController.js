@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { canManageUser } = require('../utils/permissions');
+const {
+  parseSuspensionInput,
+  isSuspended,
+  suspendUser,
+  liftSuspension,
+  serializeSuspension,
+  getSuspensionHistory
+} = require('../utils/suspensions');
+const { recordAudit } = require('../utils/auditLog');
+
+// Load the user in the URL if the staff member may manage them, or send an error response
+const loadManagedUser = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID'
+    });
+    return null;
+  }
+
+  const user = await User.findById(id).select('-password');
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!(await canManageUser(req.user, user))) {
+    res.status(403).json({
+      success: false,
+      message: 'Managing admin accounts requires the admins:manage permission'
+    });
+    return null;
+  }
+  return user;
+};
+
+// @desc    Suspend a user, optionally until a date
+// @route   POST /api/admin/users/:id/suspend
+// @access  Private/Admin
+const suspendAccount = async (req, res) => {
+  try {
+    const { details, errors } = parseSuspensionInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot suspend your own account'
+      });
+    }
+
+    if (isSuspended(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already suspended. Lift the current suspension first.'
+      });
+    }
+
+    const wasActive = user.isActive;
+    const suspension = await suspendUser(user, details, req.user);
+
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetIds: [user._id],
+      changes: [{ field: 'isActive', before: wasActive, after: false }],
+      metadata: {
+        suspensionId: suspension._id.toString(),
+        reason: suspension.reason,
+        endsAt: suspension.endsAt
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspended successfully',
+      data: {
+        user,
+        suspension: serializeSuspension(suspension)
+      }
+    });
+
+  } catch (error) {
+    console.error('Suspend user error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Lift a user's suspension
+// @route   POST /api/admin/users/:id/unsuspend
+// @access  Private/Admin
+const unsuspendAccount = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    if (!isSuspended(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    const suspension = await liftSuspension(user, { actor: req.user });
+
+    await recordAudit(req, {
+      action: 'user.unsuspend',
+      targetIds: [user._id],
+      changes: [{ field: 'isActive', before: false, after: true }],
+      metadata: { suspensionId: suspension ? suspension._id.toString() : null }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Suspension lifted successfully',
+      data: {
+        user,
+        suspension: suspension ? serializeSuspension(suspension) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a user's suspension history
+// @route   GET /api/admin/users/:id/suspensions
+// @access  Private/Admin
+const getUserSuspensions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (!(await User.exists({ _id: id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        suspensions: await getSuspensionHistory(id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user suspensions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  suspendAccount,
+  unsuspendAccount,
+  getUserSuspensions
+};
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { normalizeTags } = require('../utils/tags');
+const { escapeRegex } = require('../utils/userFilters');
+const { canManageUser } = require('../utils/permissions');
+const { diffFields, recordAudit } = require('../utils/auditLog');
+
+// @desc    Suggest existing tags for autocomplete
+// @route   GET /api/admin/users/tags
+// @access  Private/Admin
+const getTagSuggestions = async (req, res) => {
+  try {
+    const prefix = String(req.query.q || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const match = prefix
+      ? { tags: { $regex: `^${escapeRegex(prefix)}` } }
+      : { tags: { $exists: true, $ne: [] } };
+
+    const tags = await User.aggregate([
+      { $match: match },
+      { $unwind: '$tags' },
+      { $match: match },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tags
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tag suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace the tags on a user
+// @route   PUT /api/admin/users/:id/tags
+// @access  Private/Admin
+const setUserTags = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const { tags, errors } = normalizeTags(req.body.tags);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canManageUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Managing admin accounts requires the admins:manage permission'
+      });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(id, { tags }, { new: true });
+
+    const changes = diffFields(user, updatedUser, ['tags']);
+    if (changes.length > 0) {
+      await recordAudit(req, {
+        action: 'user.update',
+        targetIds: [user._id],
+        changes
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tags updated successfully',
+      data: {
+        tags: updatedUser.tags
+      }
+    });
+
+  } catch (error) {
+    console.error('Set user tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTagSuggestions,
+  setUserTags
+};
@@ -0,0 +1,251 @@
+const User = require('../models/User');
+const bcrypt = require('bcryptjs');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  generateRecoveryCodes,
+  verifyTwoFactorCode,
+  getTwoFactorRequiredRoles
+} = require('../utils/twoFactor');
+const { authConfig } = require('../config/auth');
+
+// Load the logged in user with two-factor secrets, or send an error response
+const loadTwoFactorUser = async (req, res) => {
+  const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+  return user;
+};
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req, res);
+    if (!user) return;
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: authConfig.twoFactorIssuer
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm two-factor enrollment with a first code
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const user = await loadTwoFactorUser(req, res);
+    if (!user) return;
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before confirming'
+      });
+    }
+
+    const step = verifyTotp(decrypt(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.hashed;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe - they will not be shown again.',
+      data: {
+        recoveryCodes: recoveryCodes.codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || typeof password !== 'string' || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and a verification code or recovery code are required'
+      });
+    }
+
+    const user = await loadTwoFactorUser(req, res);
+    if (!user) return;
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const requiredRoles = await getTwoFactorRequiredRoles();
+    if (requiredRoles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for the '${user.role}' role`
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid || !(await verifyTwoFactorCode(user, { code, recoveryCode })).valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace recovery codes with a new set
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    const user = await loadTwoFactorUser(req, res);
+    if (!user) return;
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifyTwoFactorCode(user, { code })).valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.hashed;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recoveryCodes: recoveryCodes.codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -1,5 +1,14 @@
 const User = require('../models/User');
+const { PRIVACY_LEVELS, PRIVACY_FIELD_GROUPS, serializeUserFor } = require('../utils/userSerializers');
+const { requestAccountDeletion } = require('../utils/userDeletion');
+const { sendAccountDeletionEmail } = require('../utils/accountEmails');
+const { recordAudit } = require('../utils/auditLog');
+const { deactivateOwnAccount } = require('../utils/deactivation');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { userStatSnapshot, emitUserChanged } = require('../utils/userEvents');
 const { uploadToCloudinary } = require('../config/cloudinary');
+const { userConfig } = require('../config/users');
+const bcrypt = require('bcryptjs');
 const fs = require('fs');
 
 // @desc    Edit user profile
@@ -61,24 +70,14 @@ const editProfile = async (req, res) => {
     // Validate and process phone number if provided
     let processedPhoneNumber = phoneNumber;
     if (phoneNumber) {
-      // Remove any spaces or special characters except + and digits
-      processedPhoneNumber = phoneNumber.replace(/[^\d+]/g, '');
-      
-      // Ensure it starts with +
-      if (!processedPhoneNumber.startsWith('+')) {
-        return res.status(400).json({
-          success: false,
-          message: 'Phone number must start with country code (e.g., +91 for India)'
-        });
-      }
-
-      // Validate phone number format
-      if (!/^\+[1-9]\d{1,14}$/.test(processedPhoneNumber)) {
+      const phoneResult = normalizePhoneNumber(phoneNumber);
+      if (phoneResult.error) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid phone number format. Please include country code (e.g., +911234567890)'
+          message: phoneResult.error
         });
       }
+      processedPhoneNumber = phoneResult.phoneNumber;
 
       // Check if phone number already exists for another user
       const existingPhoneUser = await User.findOne({ 
@@ -137,6 +136,8 @@ const editProfile = async (req, res) => {
       });
     }
 
+    emitUserChanged(userStatSnapshot(req.user), user);
+
     const userResponse = user.getPublicProfile();
 
     // Add phone details to response
@@ -214,7 +215,8 @@ const getUserProfile = async (req, res) => {
       });
     }
 
-    const userResponse = user.getPublicProfile();
+    // Owner, staff and other users each get a different projection
+    const userResponse = await serializeUserFor(user, req.user);
 
     res.status(200).json({
       success: true,
@@ -233,12 +235,86 @@ const getUserProfile = async (req, res) => {
   }
 };
 
-// @desc    Delete user account
+// @desc    Update profile privacy settings
+// @route   PUT /api/user/privacy
+// @access  Private
+const updatePrivacy = async (req, res) => {
+  try {
+    const settings = req.body || {};
+    const errors = [];
+    const updateData = {};
+
+    Object.entries(settings).forEach(([group, level]) => {
+      if (!PRIVACY_FIELD_GROUPS[group]) {
+        errors.push(`Unknown privacy group: ${group}`);
+      } else if (!PRIVACY_LEVELS.includes(level)) {
+        errors.push(`${group} must be one of: ${PRIVACY_LEVELS.join(', ')}`);
+      } else {
+        updateData[`privacy.${group}`] = level;
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${Object.keys(PRIVACY_FIELD_GROUPS).join(', ')}`
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      data: {
+        privacy: user.privacy
+      }
+    });
+
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete user account after a grace period (requires the password)
 // @route   DELETE /api/user/profile
 // @access  Private
 const deleteProfile = async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.user._id);
+    const { password } = req.body || {};
+
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is required to delete your account'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
 
     if (!user) {
       return res.status(404).json({
@@ -247,9 +323,35 @@ const deleteProfile = async (req, res) => {
       });
     }
 
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    // Signs the user out everywhere; logging in again before the grace
+    // period ends cancels the deletion
+    await requestAccountDeletion(user);
+
+    await recordAudit(req, {
+      action: 'user.deletion_request',
+      targetIds: [user._id],
+      metadata: { scheduledFor: user.deletion.scheduledFor }
+    });
+
+    const emailResult = await sendAccountDeletionEmail(user);
+    if (!emailResult.success) {
+      console.error('Failed to send account deletion email to:', user.email);
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Account deleted successfully'
+      message: `Your account will be deleted in ${userConfig.deletionGracePeriodDays} days. Log in before then to cancel.`,
+      data: {
+        deletion: user.deletion
+      }
     });
 
   } catch (error) {
@@ -267,11 +369,7 @@ const deleteProfile = async (req, res) => {
 // @access  Private
 const deactivateProfile = async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      { isActive: false },
-      { new: true }
-    );
+    const user = await User.findById(req.user._id);
 
     if (!user) {
       return res.status(404).json({
@@ -280,9 +378,13 @@ const deactivateProfile = async (req, res) => {
       });
     }
 
+    // Signs the user out everywhere; they can reactivate by logging in
+    // again or with an emailed reactivation link
+    await deactivateOwnAccount(user);
+
     res.status(200).json({
       success: true,
-      message: 'Account deactivated successfully'
+      message: 'Account deactivated successfully. Log in again or request a reactivation email to reactivate it.'
     });
 
   } catch (error) {
@@ -298,6 +400,7 @@ const deactivateProfile = async (req, res) => {
 module.exports = {
   editProfile,
   getUserProfile,
+  updatePrivacy,
   deleteProfile,
   deactivateProfile
 };
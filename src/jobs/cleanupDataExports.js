@@ -0,0 +1,23 @@
+const { cleanupDataExports } = require('../utils/dataExports');
+
+// How often expired export archives are removed from disk
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Run the data export cleanup on an interval
+ * @returns {Object} - Interval handle
+ */
+const scheduleDataExportCleanup = () => {
+  const run = () => cleanupDataExports()
+    .then(({ expired, failed }) => {
+      if (expired > 0 || failed > 0) {
+        console.log(`Cleaned up ${expired} expired data exports (${failed} stalled)`);
+      }
+    })
+    .catch(error => console.error('Data export cleanup error:', error));
+  return setInterval(run, CLEANUP_INTERVAL_MS);
+};
+
+module.exports = {
+  scheduleDataExportCleanup
+};
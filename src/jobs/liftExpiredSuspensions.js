@@ -0,0 +1,51 @@
+const User = require('../models/User');
+const { liftSuspension } = require('../utils/suspensions');
+const { userConfig } = require('../config/users');
+
+// Suspensions lifted per run, so one run never holds the process for long
+const BATCH_SIZE = 100;
+
+/**
+ * Lift suspensions whose end date has passed
+ * @returns {Promise<Object>} - { lifted, failed }
+ */
+const liftExpiredSuspensions = async () => {
+  const users = await User.find({
+    'suspension.suspensionId': { $ne: null },
+    'suspension.endsAt': { $ne: null, $lte: new Date() }
+  })
+    .sort({ 'suspension.endsAt': 1 })
+    .limit(BATCH_SIZE);
+
+  let lifted = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    try {
+      await liftSuspension(user, { reason: 'expired' });
+      lifted++;
+    } catch (error) {
+      console.error('Lift suspension error:', user._id.toString(), error);
+      failed++;
+    }
+  }
+
+  if (lifted > 0 || failed > 0) {
+    console.log(`Lifted ${lifted} expired suspensions (${failed} failed)`);
+  }
+  return { lifted, failed };
+};
+
+/**
+ * Run the suspension expiry job on an interval
+ * @returns {Object} - Interval handle
+ */
+const scheduleSuspensionExpiry = () => {
+  const run = () => liftExpiredSuspensions().catch(error => console.error('Lift expired suspensions error:', error));
+  return setInterval(run, userConfig.suspensionCheckIntervalMinutes * 60 * 1000);
+};
+
+module.exports = {
+  liftExpiredSuspensions,
+  scheduleSuspensionExpiry
+};
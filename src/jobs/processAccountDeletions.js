@@ -0,0 +1,57 @@
+const User = require('../models/User');
+const { anonymizeUser } = require('../utils/userDeletion');
+const { recordAudit } = require('../utils/auditLog');
+const { userConfig } = require('../config/users');
+
+// Accounts anonymized per run, so one run never holds the process for long
+const BATCH_SIZE = 100;
+
+/**
+ * Erase the personal data of users whose deletion grace period has passed
+ * @returns {Promise<Object>} - { anonymized, failed }
+ */
+const processAccountDeletions = async () => {
+  const users = await User.find({ 'deletion.scheduledFor': { $ne: null, $lte: new Date() } })
+    .sort({ 'deletion.scheduledFor': 1 })
+    .limit(BATCH_SIZE);
+
+  let anonymized = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    const { requestedAt, scheduledFor } = user.deletion;
+    const result = await anonymizeUser(user);
+    if (!result.success) {
+      console.error('Anonymize user error:', user._id.toString(), result.error);
+      failed++;
+      continue;
+    }
+
+    anonymized++;
+    // No personal data in the entry - that is what was just erased
+    await recordAudit(null, {
+      action: 'user.anonymize',
+      targetIds: [user._id],
+      metadata: { requestedAt, scheduledFor }
+    });
+  }
+
+  if (anonymized > 0 || failed > 0) {
+    console.log(`Anonymized ${anonymized} deleted accounts (${failed} failed)`);
+  }
+  return { anonymized, failed };
+};
+
+/**
+ * Run the account deletion job on an interval
+ * @returns {Object} - Interval handle
+ */
+const scheduleAccountDeletions = () => {
+  const run = () => processAccountDeletions().catch(error => console.error('Process account deletions error:', error));
+  return setInterval(run, userConfig.purgeIntervalMinutes * 60 * 1000);
+};
+
+module.exports = {
+  processAccountDeletions,
+  scheduleAccountDeletions
+};
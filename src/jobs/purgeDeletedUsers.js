@@ -0,0 +1,58 @@
+const User = require('../models/User');
+const { purgeUser } = require('../utils/userDeletion');
+const { recordAudit } = require('../utils/auditLog');
+const { userConfig } = require('../config/users');
+
+// Users purged per run, so one run never holds the process for long
+const BATCH_SIZE = 100;
+
+/**
+ * Permanently delete users that have been in the recycle bin longer than
+ * the retention period. Anonymized tombstones are kept.
+ * @param {Object} options - { retentionDays }
+ * @returns {Promise<Object>} - { purged, failed }
+ */
+const purgeDeletedUsers = async ({ retentionDays = userConfig.deletedUserRetentionDays } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const users = await User.find({ deletedAt: { $ne: null, $lte: cutoff }, anonymizedAt: null })
+    .sort({ deletedAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let purged = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    const result = await purgeUser(user);
+    if (!result.success) {
+      console.error('Purge user error:', user._id.toString(), result.error);
+      failed++;
+      continue;
+    }
+
+    purged++;
+    await recordAudit(null, {
+      action: 'user.purge',
+      targetIds: [user._id],
+      metadata: { email: user.email, deletedAt: user.deletedAt, retentionDays }
+    });
+  }
+
+  if (purged > 0 || failed > 0) {
+    console.log(`Purged ${purged} deleted users (${failed} failed)`);
+  }
+  return { purged, failed };
+};
+
+/**
+ * Run the purge job on an interval
+ * @returns {Object} - Interval handle
+ */
+const schedulePurgeDeletedUsers = () => {
+  const run = () => purgeDeletedUsers().catch(error => console.error('Purge deleted users error:', error));
+  return setInterval(run, userConfig.purgeIntervalMinutes * 60 * 1000);
+};
+
+module.exports = {
+  purgeDeletedUsers,
+  schedulePurgeDeletedUsers
+};
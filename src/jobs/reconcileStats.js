@@ -0,0 +1,19 @@
+const { reconcileStats } = require('../utils/statRollups');
+const { analyticsConfig } = require('../config/analytics');
+
+/**
+ * Reconcile the statistics rollups now and then on an interval
+ * @returns {Object} - Interval handle
+ */
+const scheduleStatReconciliation = () => {
+  const run = () => reconcileStats()
+    .then(({ full, days }) => {
+      if (full) console.log(`Rebuilt statistics rollups (${days} days)`);
+    })
+    .catch(error => console.error('Reconcile statistics error:', error));
+
+  run();
+  return setInterval(run, analyticsConfig.statsReconcileIntervalMinutes * 60 * 1000);
+};
+
+module.exports = { scheduleStatReconciliation };
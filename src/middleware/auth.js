@@ -1,5 +1,11 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { authConfig } = require('../config/auth');
+const { isTwoFactorSetupRequired } = require('../utils/twoFactor');
+const { getRolePermissions } = require('../utils/permissions');
+const { isSuspended, isSuspensionExpired, liftSuspension, suspendedErrorBody } = require('../utils/suspensions');
+const { canSelfReactivate } = require('../utils/deactivation');
 
 // @desc    Protect routes - Verify JWT token
 // @access  Private
@@ -15,42 +21,79 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Check if it's an admin user
-      if (decoded.userId === 'admin' && decoded.role === 'admin') {
-        // Create admin user object
-        const adminUser = {
-          _id: 'admin',
-          email: decoded.email,
-          role: 'admin',
-          firstName: 'Admin',
-          lastName: 'User',
-          isActive: true
-        };
-        
-        // Add admin user to request object
-        req.user = adminUser;
-      } else {
-        // Get regular user from token
-        const user = await User.findById(decoded.userId).select('-password');
-        
-        if (!user) {
-          return res.status(401).json({
-            success: false,
-            message: 'User not found'
-          });
-        }
+      // Access tokens must belong to a session that has not been revoked
+      if (!decoded.sid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired. Please log in again.'
+        });
+      }
 
-        // Check if user is active
-        if (!user.isActive) {
-          return res.status(401).json({
-            success: false,
-            message: 'Account is deactivated. Please contact support.'
-          });
+      const session = await Session.findById(decoded.sid);
+      if (!session || !session.isValid() || session.userId !== decoded.userId.toString()) {
+        // Sessions are revoked on suspension; say why while it lasts
+        if (session && session.revokedReason === 'account_suspended') {
+          const suspendedUser = await User.findById(session.userId);
+          if (isSuspended(suspendedUser) && !isSuspensionExpired(suspendedUser)) {
+            return res.status(403).json(suspendedErrorBody(suspendedUser));
+          }
         }
 
-        // Add user to request object
-        req.user = user;
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.'
+        });
+      }
+
+      // Add session to request object
+      req.authSession = session;
+
+      // Get user from token
+      const user = await User.findById(decoded.userId).select('-password');
+      
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Lift a suspension that has run out before the expiry job got to it
+      if (isSuspensionExpired(user)) {
+        await liftSuspension(user, { reason: 'expired' });
       }
+
+      if (isSuspended(user)) {
+        return res.status(403).json(suspendedErrorBody(user));
+      }
+
+      // Check if user is active
+      if (canSelfReactivate(user)) {
+        return res.status(401).json({
+          success: false,
+          code: 'ACCOUNT_DEACTIVATED',
+          message: 'Account is deactivated. Log in again to reactivate it.'
+        });
+      }
+
+      if (!user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Account is deactivated. Please contact support.'
+        });
+      }
+
+      // Check if email is verified
+      if (authConfig.requireEmailVerification && !user.isVerified) {
+        return res.status(403).json({
+          success: false,
+          code: 'EMAIL_NOT_VERIFIED',
+          message: 'Please verify your email address to continue'
+        });
+      }
+
+      // Add user to request object
+      req.user = user;
       next();
 
     } catch (error) {
@@ -107,7 +150,66 @@ const authorize = (...roles) => {
   };
 };
 
+// @desc    Require permissions granted to the user's role
+// @access  Private
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    try {
+      const granted = await getRolePermissions(req.user.role);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Missing permission: ${missing.join(', ')}`
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  };
+};
+
+// @desc    Block users whose role requires 2FA until they have enrolled
+// @access  Private
+const requireTwoFactorEnrollment = async (req, res, next) => {
+  try {
+    if (await isTwoFactorSetupRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: `Two-factor authentication is required for the '${req.user.role}' role. Please enable it to continue.`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Two-factor enrollment check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   protect,
-  authorize
+  authorize,
+  requirePermission,
+  requireTwoFactorEnrollment
 };
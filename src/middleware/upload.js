@@ -39,11 +39,25 @@ const upload = multer({
   }
 });
 
-// Middleware for single file upload
-const uploadSingle = upload.single('profilePicture');
+// Import files are parsed in memory and never written to disk
+const IMPORT_EXTENSIONS = ['.csv', '.ndjson', '.jsonl', '.json', '.txt'];
 
-// Wrapper middleware to handle errors
-const uploadMiddleware = (req, res, next) => {
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: function (req, file, cb) {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and NDJSON files are allowed!'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  }
+});
+
+// Wrap a multer handler so upload errors become JSON responses
+const handleUploadErrors = (uploadSingle) => (req, res, next) => {
   uploadSingle(req, res, function (err) {
     if (err instanceof multer.MulterError) {
       // A Multer error occurred when uploading
@@ -70,7 +84,14 @@ const uploadMiddleware = (req, res, next) => {
   });
 };
 
+// Middleware for single file upload
+const uploadMiddleware = handleUploadErrors(upload.single('profilePicture'));
+
+// Middleware for user import files
+const importUploadMiddleware = handleUploadErrors(importUpload.single('file'));
+
 module.exports = {
   upload,
-  uploadMiddleware
+  uploadMiddleware,
+  importUploadMiddleware
 };
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Append-only record of admin actions. Entries can be created and read,
+// never updated or deleted through the application.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    type: String,
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    default: 'user'
+  },
+  targetIds: {
+    type: [String],
+    default: []
+  },
+  changes: {
+    type: [{
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }],
+    default: []
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetIds: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const appendOnlyError = () => new Error('Audit log entries are append-only');
+
+// Existing entries cannot be saved again
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(appendOnlyError());
+  }
+  next();
+});
+
+// Block every update and delete query
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, { document: false, query: true }, function() {
+    throw appendOnlyError();
+  });
+});
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, function() {
+  throw appendOnlyError();
+});
+
+auditLogSchema.pre('bulkWrite', function() {
+  throw appendOnlyError();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
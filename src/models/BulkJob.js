@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A bulk operation on users, with progress and a per-user report
+const bulkJobSchema = new mongoose.Schema({
+  operation: {
+    type: String,
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // How the targets were chosen ({ userIds } or { filter }), kept for the record
+  criteria: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Targets are resolved when the job is created so the set cannot drift
+  targetIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  results: {
+    type: [{
+      _id: false,
+      userId: mongoose.Schema.Types.ObjectId,
+      email: String,
+      success: Boolean,
+      error: String
+    }],
+    default: []
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+bulkJobSchema.index({ createdBy: 1, createdAt: -1 });
+bulkJobSchema.index({ status: 1 });
+
+// Remove finished jobs after 30 days
+bulkJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('BulkJob', bulkJobSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A connection between two users. Created as a pending request and
+// accepted by the recipient; used by "connections only" privacy settings.
+const connectionSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  // The two users in ID order, so a pair can only have one connection
+  // whichever of them sent the request
+  userLow: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userHigh: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Order two user IDs for the userLow / userHigh pair
+const orderPair = (userA, userB) => {
+  const a = new mongoose.Types.ObjectId(String(userA));
+  const b = new mongoose.Types.ObjectId(String(userB));
+  return a.toString() < b.toString() ? { userLow: a, userHigh: b } : { userLow: b, userHigh: a };
+};
+
+connectionSchema.pre('validate', function(next) {
+  Object.assign(this, orderPair(this.requester, this.recipient));
+  next();
+});
+
+// Index for better query performance. The pair index only covers
+// connections that have a pair (see syncPairs for older ones).
+connectionSchema.index(
+  { userLow: 1, userHigh: 1 },
+  { unique: true, partialFilterExpression: { userLow: { $exists: true } } }
+);
+connectionSchema.index({ requester: 1 });
+connectionSchema.index({ recipient: 1, status: 1 });
+
+// Static method to find the connection between two users (in either direction)
+connectionSchema.statics.findBetween = function(userA, userB) {
+  return this.findOne(orderPair(userA, userB));
+};
+
+// Static method to fill in the pair of connections created before it was
+// stored. Where a pair has two connections, the accepted (or older) one is kept.
+connectionSchema.statics.syncPairs = async function() {
+  const connections = await this.find({ userLow: { $exists: false } }).sort({ status: 1, createdAt: 1 });
+  let merged = 0;
+
+  for (const connection of connections) {
+    const pair = orderPair(connection.requester, connection.recipient);
+    const duplicate = await this.findOne(pair);
+    if (duplicate) {
+      await connection.deleteOne();
+      merged++;
+    } else {
+      await this.updateOne({ _id: connection._id }, pair);
+    }
+  }
+
+  return { updated: connections.length - merged, merged };
+};
+
+// Static method to check if two users are connected
+connectionSchema.statics.areConnected = async function(userA, userB) {
+  const connection = await this.findBetween(userA, userB);
+  return Boolean(connection && connection.status === 'accepted');
+};
+
+module.exports = mongoose.model('Connection', connectionSchema);
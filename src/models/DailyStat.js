@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Per-day user statistics, kept up to date by user lifecycle events and
+// rebuilt by the reconciliation job. Days are calendar days in the rollup
+// time zone (ANALYTICS_TIMEZONE).
+const dailyStatSchema = new mongoose.Schema({
+  timezone: {
+    type: String,
+    required: true
+  },
+  // "YYYY-MM-DD"
+  day: {
+    type: String,
+    required: true
+  },
+  // Accounts created that day that have not been deleted
+  signups: {
+    type: Number,
+    default: 0
+  },
+  signupsByGender: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  signupsByCountry: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  logins: {
+    type: Number,
+    default: 0
+  },
+  // Distinct users who logged in that day
+  activeUsers: {
+    type: Number,
+    default: 0
+  },
+  reconciledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+dailyStatSchema.index({ timezone: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('DailyStat', dailyStatSchema);
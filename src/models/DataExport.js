@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A personal data export (archive of everything held about a user). The
+// archive is built in the background and can be downloaded once, through a
+// link whose token is only stored as a hash.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedByEmail: {
+    type: String,
+    default: null
+  },
+  // True for an export run by staff for a data subject request
+  requestedByStaff: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'ready', 'downloaded', 'expired', 'failed'],
+    default: 'queued'
+  },
+  downloadTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Archive location on disk, cleared once the file is removed
+  filePath: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  readyAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  downloadedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Failed login counters, used by the Mongo login attempt store so that
+// lockouts are shared between server instances
+const loginAttemptSchema = new mongoose.Schema({
+  // "account:<email>" or "ip:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  // Earliest time the next attempt is accepted (progressive delay)
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Remove counters once they are no longer relevant
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
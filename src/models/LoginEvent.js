@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { analyticsConfig } = require('../config/analytics');
+
+// One successful login, used for active user and retention analytics
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copy of the user's createdAt, so signup cohorts need no join
+  signedUpAt: {
+    type: Date,
+    required: true
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginEventSchema.index({ createdAt: 1, user: 1 });
+loginEventSchema.index({ signedUpAt: 1, createdAt: 1 });
+
+// Drop events once they are older than the longest report window
+loginEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: analyticsConfig.loginEventRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Role-to-permission mapping, editable by admins
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    enum: ['user', 'admin', 'moderator']
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: Object.keys(PERMISSIONS)
+    }],
+    default: []
+  },
+  // Every permission that existed when the role was last synced with the
+  // defaults, so new permissions can be told apart from removed ones
+  knownPermissions: {
+    type: [String],
+    default: []
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Saved user filter. filters holds user list query parameters
+// (see utils/userFilters), so membership is always evaluated live.
+const segmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Segment name is required'],
+    trim: true,
+    maxlength: [100, 'Segment name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Shared segments are visible to every staff member who can read users
+  shared: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdByEmail: {
+    type: String,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+segmentSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+segmentSchema.index({ shared: 1 });
+
+module.exports = mongoose.model('Segment', segmentSchema);
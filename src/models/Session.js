@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A session is one refresh-token family: it is created at login and its
+// refresh token is rotated on every refresh. Presenting a token that has
+// already been rotated out revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  // Owner of the session (user ObjectId as a string)
+  userId: {
+    type: String,
+    required: true
+  },
+
+  // Hash of the refresh token that is currently valid for this session
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+
+  // Hashes of refresh tokens that have already been rotated out
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+
+  // Client information
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'token_reuse', 'password_reset', 'password_change', 'account_deleted', 'account_suspended', 'account_deactivated', 'deletion_requested', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+
+// Remove sessions from the database once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Application settings that admins can change at runtime
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to a default value
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting && setting.value !== null && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+// Static method to create or update a setting
+settingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
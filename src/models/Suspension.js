@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { SUSPENSION_REASONS } = require('../config/users');
+
+// One suspension of a user account. The current suspension is also copied
+// onto the user (see User.suspension) so login checks need no extra query;
+// these records keep the full history.
+const suspensionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: SUSPENSION_REASONS,
+    required: [true, 'Suspension reason is required']
+  },
+  // Staff only
+  internalNote: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Internal note cannot exceed 2000 characters'],
+    default: null
+  },
+  // Shown to the user when they try to log in
+  publicMessage: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Public message cannot exceed 500 characters'],
+    default: null
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  suspendedByEmail: {
+    type: String,
+    default: null
+  },
+  // null for a suspension that lasts until it is lifted
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  liftedByEmail: {
+    type: String,
+    default: null
+  },
+  liftReason: {
+    type: String,
+    enum: ['manual', 'expired', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+suspensionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Suspension', suspensionSchema);
@@ -22,10 +22,22 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Stored as a bcrypt hash - strength rules live in utils/passwordPolicy
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters']
+    required: [true, 'Password is required']
+  },
+  passwordHistory: {
+    type: [{
+      hash: String,
+      changedAt: Date
+    }],
+    select: false,
+    default: []
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
   },
   
   // Personal Information
@@ -100,12 +112,93 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set while the user has deactivated their own account; they can
+  // reactivate it themselves (admin decisions are suspensions instead)
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
   role: {
     type: String,
     enum: ['user', 'admin', 'moderator'],
     default: 'user'
   },
+
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    // Encrypted base32 secret
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted TOTP time step, to prevent code replay
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
   
+  // Labels added by admins (see utils/tags for the allowed format)
+  tags: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+      maxlength: [50, 'Tag cannot exceed 50 characters']
+    }],
+    default: []
+  },
+
+  // Privacy Settings - who can see each group of profile fields
+  // (see utils/userSerializers for the fields in each group)
+  privacy: {
+    contact: {
+      type: String,
+      enum: ['public', 'connections', 'private'],
+      default: 'private'
+    },
+    personal: {
+      type: String,
+      enum: ['public', 'connections', 'private'],
+      default: 'connections'
+    },
+    location: {
+      type: String,
+      enum: ['public', 'connections', 'private'],
+      default: 'connections'
+    },
+    activity: {
+      type: String,
+      enum: ['public', 'connections', 'private'],
+      default: 'private'
+    },
+    social: {
+      type: String,
+      enum: ['public', 'connections', 'private'],
+      default: 'public'
+    }
+  },
+
   // Social Media Links
   socialLinks: {
     facebook: String,
@@ -126,6 +219,109 @@ const userSchema = new mongoose.Schema({
   lastLoginAt: {
     type: Date,
     default: null
+  },
+
+  // Admin invitation (see utils/invitations) - status is null for users
+  // who signed up themselves
+  invitation: {
+    status: {
+      type: String,
+      enum: ['pending', 'accepted'],
+      default: null
+    },
+    // Role granted once the invitee proves they own the email address
+    role: {
+      type: String,
+      enum: ['user', 'admin', 'moderator'],
+      default: null
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    invitedByEmail: {
+      type: String,
+      default: null
+    },
+    invitedAt: {
+      type: Date,
+      default: null
+    },
+    lastSentAt: {
+      type: Date,
+      default: null
+    },
+    sendCount: {
+      type: Number,
+      default: 0
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    acceptedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Current suspension, copied from the Suspension record so login checks
+  // need no extra query (see utils/suspensions) - suspensionId is null
+  // when the account is not suspended
+  suspension: {
+    suspensionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Suspension',
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    publicMessage: {
+      type: String,
+      default: null
+    },
+    suspendedAt: {
+      type: Date,
+      default: null
+    },
+    endsAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Deletion requested by the user (see utils/userDeletion) - scheduledFor
+  // is null unless a deletion is pending
+  deletion: {
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    scheduledFor: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Set once the user's personal data has been erased. The record stays
+  // as a soft-deleted tombstone so references to it remain valid.
+  anonymizedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Soft deletion - deleted users stay in the recycle bin until purged
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true // Automatically manage createdAt and updatedAt
@@ -160,12 +356,77 @@ userSchema.pre('save', function(next) {
 userSchema.index({ email: 1 });
 userSchema.index({ firstName: 1, lastName: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ deletedAt: 1 });
+userSchema.index({ tags: 1 });
+userSchema.index({ createdAt: -1 });
+userSchema.index({ 'invitation.status': 1, 'invitation.invitedAt': -1 });
+userSchema.index({ 'suspension.endsAt': 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 });
+
+// Soft-deleted users are left out of every query unless the query sets the
+// withDeleted option (see the withDeleted() / onlyDeleted() helpers) or
+// filters on deletedAt itself
+const SOFT_DELETE_QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+];
+
+userSchema.pre(SOFT_DELETE_QUERY_HOOKS, { document: false, query: true }, function() {
+  if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    return;
+  }
+  this.where({ deletedAt: null });
+});
+
+userSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Query helper to include soft-deleted users
+userSchema.query.withDeleted = function() {
+  return this.setOptions({ withDeleted: true });
+};
+
+// Query helper to return only soft-deleted users (the recycle bin);
+// anonymized tombstones are left out
+userSchema.query.onlyDeleted = function() {
+  return this.setOptions({ withDeleted: true }).where({ deletedAt: { $ne: null }, anonymizedAt: null });
+};
 
 // Method to get user's public profile (without sensitive data)
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
   delete userObject.__v;
+  // Tags are for staff only
+  delete userObject.tags;
+  if (!userObject.invitation || !userObject.invitation.status) {
+    delete userObject.invitation;
+  }
+  if (!userObject.suspension || !userObject.suspension.suspensionId) {
+    delete userObject.suspension;
+  }
+  if (!userObject.deletion || !userObject.deletion.scheduledFor) {
+    delete userObject.deletion;
+  }
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
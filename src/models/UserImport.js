@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Result of a user import, kept so the error report can be downloaded
+const userImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    default: null
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ndjson'],
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['skip', 'update', 'fail'],
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  sendInvites: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'aborted'],
+    default: 'completed'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  created: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  invitesSent: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: {
+    type: [{
+      _id: false,
+      row: Number,
+      email: String,
+      field: String,
+      message: String
+    }],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+userImportSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Remove import reports after 30 days
+userImportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('UserImport', userImportSchema);
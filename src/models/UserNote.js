@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Internal staff note on a user account. Never shown to the user.
+const userNoteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: [5000, 'Notes cannot exceed 5000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept so the note stays attributed if the author's account is removed
+  authorEmail: {
+    type: String,
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Previous versions of the note, oldest first
+  history: {
+    type: [{
+      _id: false,
+      body: String,
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      editedByEmail: {
+        type: String,
+        default: null
+      },
+      editedAt: Date
+    }],
+    default: []
+  },
+  // Deleted notes are hidden but kept, with their history, for the record
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deletedByEmail: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userNoteSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UserNote', userNoteSchema);
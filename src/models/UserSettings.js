@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { USER_SETTING_OPTIONS } = require('../config/users');
+
+// A user's preferences. Only the settings the user has changed are stored;
+// null means the default applies (see utils/userSettings).
+const notificationChannelSchema = new mongoose.Schema(
+  USER_SETTING_OPTIONS.notificationCategories.reduce((fields, category) => {
+    fields[category] = { type: Boolean, default: null };
+    return fields;
+  }, {}),
+  { _id: false }
+);
+
+const userSettingsSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  language: {
+    type: String,
+    enum: [...USER_SETTING_OPTIONS.languages, null],
+    default: null
+  },
+  // IANA time zone name
+  timezone: {
+    type: String,
+    default: null
+  },
+  dateFormat: {
+    type: String,
+    enum: [...USER_SETTING_OPTIONS.dateFormats, null],
+    default: null
+  },
+  theme: {
+    type: String,
+    enum: [...USER_SETTING_OPTIONS.themes, null],
+    default: null
+  },
+  // Per channel, then per category
+  notifications: USER_SETTING_OPTIONS.notificationChannels.reduce((channels, channel) => {
+    channels[channel] = notificationChannelSchema;
+    return channels;
+  }, {})
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('UserSettings', userSettingsSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Current user counts for the dashboard (a single document), kept up to
+// date by user lifecycle events and recalculated by the reconciliation job
+const userStatTotalsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'users'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Number,
+    default: 0
+  },
+  inactive: {
+    type: Number,
+    default: 0
+  },
+  byRole: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  byGender: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Time zone the daily rollups were built in; a change triggers a full rebuild
+  timezone: {
+    type: String,
+    default: null
+  },
+  reconciledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('UserStatTotals', userStatTotalsSchema);
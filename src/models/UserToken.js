@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent to users by email (verification links etc.).
+// Only the SHA-256 hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset', 'invite', 'reactivation'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+userTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+
+// Remove tokens a day after they expire (kept briefly for resend throttling)
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -8,29 +8,145 @@ const {
   deleteUser,
   toggleUserStatus,
   getDashboardStats,
-  bulkOperations,
-  exportUsers
+  exportUsers,
+  getDeletedUsers,
+  restoreDeletedUser,
+  unlockUser,
+  getAdmins,
+  createAdmin,
+  demoteAdmin,
+  getRoles,
+  updateRolePermissions,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor
 } = require('../controllers/adminController');
-const { protect, authorize } = require('../middleware/auth');
+const { getAuditLogs } = require('../controllers/auditController');
+const { bulkOperations, getBulkJobs, getBulkJob } = require('../controllers/bulkController');
+const { importUsersFromFile, getImportErrorReport } = require('../controllers/importController');
+const {
+  getSignups,
+  getActiveUsers,
+  getCohorts,
+  getBreakdown
+} = require('../controllers/analyticsController');
+const {
+  protect,
+  authorize,
+  requirePermission,
+  requireTwoFactorEnrollment
+} = require('../middleware/auth');
+const {
+  getUserNotes,
+  addUserNote,
+  updateUserNote,
+  deleteUserNote
+} = require('../controllers/noteController');
+const { getTagSuggestions, setUserTags } = require('../controllers/tagController');
+const {
+  getSegments,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment
+} = require('../controllers/segmentController');
+const {
+  inviteUser,
+  getInvites,
+  resendInvite,
+  revokeInvite
+} = require('../controllers/invitationController');
+const {
+  suspendAccount,
+  unsuspendAccount,
+  getUserSuspensions
+} = require('../controllers/suspensionController');
+const { adminRequestDataExport } = require('../controllers/dataExportController');
+const {
+  getUserSettingDefaults,
+  updateUserSettingDefaults
+} = require('../controllers/settingsController');
+const { importUploadMiddleware } = require('../middleware/upload');
 
 // Admin login (public route)
 router.post('/login', adminLogin);
 
-// All other routes require authentication and admin role
+// All other routes require authentication and a staff role;
+// each route then checks the permission it needs
 router.use(protect);
-router.use(authorize('admin'));
+router.use(authorize('admin', 'moderator'));
+router.use(requireTwoFactorEnrollment);
 
 // Dashboard
-router.get('/dashboard', getDashboardStats);
+router.get('/dashboard', requirePermission('dashboard:read'), getDashboardStats);
+
+// Analytics
+router.get('/analytics/signups', requirePermission('analytics:read'), getSignups);
+router.get('/analytics/active-users', requirePermission('analytics:read'), getActiveUsers);
+router.get('/analytics/cohorts', requirePermission('analytics:read'), getCohorts);
+router.get('/analytics/breakdown', requirePermission('analytics:read'), getBreakdown);
 
 // User management routes
-router.get('/users', getAllUsers);
-router.get('/users/export', exportUsers);
-router.post('/users/bulk', bulkOperations);
-
-router.get('/users/:id', getUserById);
-router.put('/users/:id', updateUser);
-router.delete('/users/:id', deleteUser);
-router.put('/users/:id/toggle-status', toggleUserStatus);
+router.get('/users', requirePermission('users:read'), getAllUsers);
+router.get('/users/export', requirePermission('users:export'), exportUsers);
+router.post('/users/bulk', requirePermission('users:bulk'), bulkOperations);
+router.get('/users/bulk', requirePermission('users:bulk'), getBulkJobs);
+router.get('/users/bulk/:jobId', requirePermission('users:bulk'), getBulkJob);
+router.post('/users/import', requirePermission('users:import'), importUploadMiddleware, importUsersFromFile);
+router.get('/users/imports/:id/errors', requirePermission('users:import'), getImportErrorReport);
+router.get('/users/deleted', requirePermission('users:delete'), getDeletedUsers);
+router.get('/users/tags', requirePermission('users:read'), getTagSuggestions);
+
+// Invitations (pending accounts until the invitee accepts)
+router.post('/users/invite', requirePermission('users:invite'), inviteUser);
+router.get('/users/invites', requirePermission('users:invite'), getInvites);
+router.post('/users/invites/:id/resend', requirePermission('users:invite'), resendInvite);
+router.delete('/users/invites/:id', requirePermission('users:invite'), revokeInvite);
+
+router.get('/users/:id', requirePermission('users:read'), getUserById);
+router.put('/users/:id', requirePermission('users:update'), updateUser);
+router.delete('/users/:id', requirePermission('users:delete'), deleteUser);
+router.post('/users/:id/restore', requirePermission('users:delete'), restoreDeletedUser);
+router.put('/users/:id/toggle-status', requirePermission('users:status'), toggleUserStatus);
+router.post('/users/:id/suspend', requirePermission('users:status'), suspendAccount);
+router.post('/users/:id/unsuspend', requirePermission('users:status'), unsuspendAccount);
+router.get('/users/:id/suspensions', requirePermission('users:read'), getUserSuspensions);
+router.post('/users/:id/unlock', requirePermission('users:security'), unlockUser);
+router.delete('/users/:id/two-factor', requirePermission('users:security'), resetUserTwoFactor);
+router.put('/users/:id/tags', requirePermission('users:update'), setUserTags);
+router.post('/users/:id/data-export', requirePermission('users:export'), adminRequestDataExport);
+
+// Internal notes on users
+router.get('/users/:id/notes', requirePermission('users:notes'), getUserNotes);
+router.post('/users/:id/notes', requirePermission('users:notes'), addUserNote);
+router.put('/users/:id/notes/:noteId', requirePermission('users:notes'), updateUserNote);
+router.delete('/users/:id/notes/:noteId', requirePermission('users:notes'), deleteUserNote);
+
+// Saved user segments (use ?segment=<id> on the user list and export)
+router.get('/segments', requirePermission('users:read'), getSegments);
+router.post('/segments', requirePermission('segments:manage'), createSegment);
+router.get('/segments/:id', requirePermission('users:read'), getSegment);
+router.put('/segments/:id', requirePermission('segments:manage'), updateSegment);
+router.delete('/segments/:id', requirePermission('segments:manage'), deleteSegment);
+
+// Admin account management
+router.get('/admins', requirePermission('admins:manage'), getAdmins);
+router.post('/admins', requirePermission('admins:manage'), createAdmin);
+router.put('/admins/:id/demote', requirePermission('admins:manage'), demoteAdmin);
+
+// Roles and permissions
+router.get('/roles', requirePermission('roles:manage'), getRoles);
+router.put('/roles/:name', requirePermission('roles:manage'), updateRolePermissions);
+
+// Security settings
+router.get('/security/two-factor', requirePermission('security:manage'), getTwoFactorPolicy);
+router.put('/security/two-factor', requirePermission('security:manage'), updateTwoFactorPolicy);
+
+// Default user settings
+router.get('/settings/user-defaults', requirePermission('settings:manage'), getUserSettingDefaults);
+router.put('/settings/user-defaults', requirePermission('settings:manage'), updateUserSettingDefaults);
+
+// Audit log
+router.get('/audit', requirePermission('audit:read'), getAuditLogs);
 
 module.exports = router;
@@ -3,11 +3,27 @@ const router = express.Router();
 const {
   signup,
   login,
+  verifyTwoFactorLogin,
   getMe,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  acceptInvite,
+  requestReactivation,
+  reactivateAccount,
+  changePassword,
+  refresh,
   logout,
   updatePhoneNumber,
   updateProfilePicture
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
 const { protect } = require('../middleware/auth');
 const { uploadMiddleware } = require('../middleware/upload');
 
@@ -21,6 +37,51 @@ router.post('/signup', uploadMiddleware, signup);
 // @access  Public
 router.post('/login', login);
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a two-factor or recovery code
+// @access  Public
+router.post('/login/2fa', verifyTwoFactorLogin);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with a token from the verification email
+// @access  Public
+router.post('/verify-email', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Public
+router.post('/resend-verification', resendVerification);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Request a password reset link
+// @access  Public
+router.post('/forgot-password', forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with a token from the reset email
+// @access  Public
+router.post('/reset-password', resetPassword);
+
+// @route   POST /api/auth/reactivation-request
+// @desc    Email a reactivation link for a self-deactivated account
+// @access  Public
+router.post('/reactivation-request', requestReactivation);
+
+// @route   POST /api/auth/reactivate
+// @desc    Reactivate a self-deactivated account with a token from the reactivation email
+// @access  Public
+router.post('/reactivate', reactivateAccount);
+
+// @route   POST /api/auth/accept-invite
+// @desc    Accept an invitation: set a password, complete the profile and log in
+// @access  Public
+router.post('/accept-invite', acceptInvite);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public
+router.post('/refresh', refresh);
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -31,6 +92,11 @@ router.get('/me', protect, getMe);
 // @access  Private
 router.post('/logout', protect, logout);
 
+// @route   PUT /api/auth/password
+// @desc    Change password (requires current password)
+// @access  Private
+router.put('/password', protect, changePassword);
+
 // @route   PUT /api/auth/phone
 // @desc    Update user phone number
 // @access  Private
@@ -41,4 +107,24 @@ router.put('/phone', protect, updatePhoneNumber);
 // @access  Private
 router.put('/profile-picture', protect, uploadMiddleware, updateProfilePicture);
 
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment (returns otpauth URI)
+// @access  Private
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm two-factor enrollment with a first code
+// @access  Private
+router.post('/2fa/confirm', protect, confirmTwoFactor);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', protect, disableTwoFactor);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate two-factor recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
 module.exports = router;
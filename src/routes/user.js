@@ -3,9 +3,24 @@ const router = express.Router();
 const {
   editProfile,
   getUserProfile,
+  updatePrivacy,
   deleteProfile,
   deactivateProfile
 } = require('../controllers/userController');
+const {
+  getConnections,
+  requestConnection,
+  removeConnection
+} = require('../controllers/connectionController');
+const {
+  getMySettings,
+  updateMySettings
+} = require('../controllers/settingsController');
+const {
+  requestMyDataExport,
+  getMyDataExports,
+  downloadDataExport
+} = require('../controllers/dataExportController');
 const { protect } = require('../middleware/auth');
 const { uploadMiddleware } = require('../middleware/upload');
 
@@ -19,13 +34,58 @@ router.put('/profile', protect, uploadMiddleware, editProfile);
 // @access  Private
 router.get('/profile/:id', protect, getUserProfile);
 
+// @route   PUT /api/user/privacy
+// @desc    Update profile privacy settings
+// @access  Private
+router.put('/privacy', protect, updatePrivacy);
+
+// @route   GET /api/user/settings
+// @desc    Get preferences (language, time zone, date format, theme, notifications)
+// @access  Private
+router.get('/settings', protect, getMySettings);
+
+// @route   PUT /api/user/settings
+// @desc    Update preferences (null resets one to its default)
+// @access  Private
+router.put('/settings', protect, updateMySettings);
+
+// @route   GET /api/user/connections
+// @desc    List connections and pending requests
+// @access  Private
+router.get('/connections', protect, getConnections);
+
+// @route   POST /api/user/connections/:id
+// @desc    Send or accept a connection request
+// @access  Private
+router.post('/connections/:id', protect, requestConnection);
+
+// @route   DELETE /api/user/connections/:id
+// @desc    Remove a connection or pending request
+// @access  Private
+router.delete('/connections/:id', protect, removeConnection);
+
+// @route   POST /api/user/data-export
+// @desc    Request an archive of all personal data held about the user
+// @access  Private
+router.post('/data-export', protect, requestMyDataExport);
+
+// @route   GET /api/user/data-export
+// @desc    List recent data exports
+// @access  Private
+router.get('/data-export', protect, getMyDataExports);
+
+// @route   GET /api/user/data-export/download/:token
+// @desc    Download a data export archive (single use)
+// @access  Public
+router.get('/data-export/download/:token', downloadDataExport);
+
 // @route   DELETE /api/user/profile
-// @desc    Delete user account
+// @desc    Schedule deletion of own account (requires the password)
 // @access  Private
 router.delete('/profile', protect, deleteProfile);
 
 // @route   PUT /api/user/deactivate
-// @desc    Deactivate user account
+// @desc    Deactivate own account (can be reactivated by the user)
 // @access  Private
 router.put('/deactivate', protect, deactivateProfile);
 
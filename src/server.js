@@ -2,21 +2,42 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const bootstrapAdmin = require('./utils/bootstrapAdmin');
+const Connection = require('./models/Connection');
+const { ensureDefaultRoles } = require('./utils/permissions');
 const { ensureDirectoryExists, getUploadsDir, cleanupOldFiles } = require('./utils/fileUtils');
+const { schedulePurgeDeletedUsers } = require('./jobs/purgeDeletedUsers');
+const { scheduleAccountDeletions } = require('./jobs/processAccountDeletions');
+const { scheduleSuspensionExpiry } = require('./jobs/liftExpiredSuspensions');
+const { scheduleDataExportCleanup } = require('./jobs/cleanupDataExports');
+const { failStaleBulkJobs, STALE_JOB_MS } = require('./utils/bulkOperations');
+const { registerStatRollupListeners } = require('./utils/statRollups');
+const { scheduleStatReconciliation } = require('./jobs/reconcileStats');
+const { getTransport } = require('./utils/mailer');
+
+// Fail fast if email cannot be sent safely
+console.log('Mail transport:', getTransport().name);
 
 // Ensure uploads directory exists
 const uploadsDir = getUploadsDir();
 ensureDirectoryExists(uploadsDir);
 console.log('Uploads directory ready:', uploadsDir);
 
+// Keep the statistics rollups up to date as accounts change
+registerStatRollupListeners();
+
 const app = express();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then seed default roles and the first admin
+connectDB().then(async () => {
+  await ensureDefaultRoles();
+  await bootstrapAdmin();
+  await Connection.syncPairs().catch(error => console.error('Sync connection pairs error:', error));
+});
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -43,4 +64,29 @@ app.listen(PORT, () => {
   }, 60 * 60 * 1000); // 1 hour
   
   console.log('File cleanup scheduled (every hour)');
+
+  // Permanently remove users whose recycle bin retention has passed
+  schedulePurgeDeletedUsers();
+  console.log('Deleted user purge scheduled');
+
+  // Erase the personal data of accounts whose deletion grace period has passed
+  scheduleAccountDeletions();
+  console.log('Account deletion scheduled');
+
+  // Reactivate users whose suspension has ended
+  scheduleSuspensionExpiry();
+  console.log('Suspension expiry scheduled');
+
+  // Remove personal data export archives once their link has expired
+  scheduleDataExportCleanup();
+  console.log('Data export cleanup scheduled');
+
+  // Mark bulk jobs whose process stopped as failed
+  setInterval(() => {
+    failStaleBulkJobs();
+  }, STALE_JOB_MS);
+
+  // Correct drift in the statistics rollups
+  scheduleStatReconciliation();
+  console.log('Statistics reconciliation scheduled');
 });
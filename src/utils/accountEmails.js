@@ -0,0 +1,163 @@
+const { createUserToken } = require('./tokenUtils');
+const { sendEmail } = require('./mailer');
+const {
+  verificationEmail,
+  passwordResetEmail,
+  accountInviteEmail,
+  invitationEmail,
+  reactivationEmail,
+  dataExportReadyEmail,
+  accountDeletionEmail
+} = require('./emailTemplates');
+const { getUserSettings, formatDateForUser } = require('./userSettings');
+const { authConfig } = require('../config/auth');
+
+/**
+ * Create a verification token and email the link to the user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Result of sendEmail()
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(
+    user._id,
+    'email_verification',
+    authConfig.emailVerificationExpiresHours * 60 * 60 * 1000
+  );
+
+  const email = verificationEmail({
+    firstName: user.firstName,
+    verifyUrl: `${authConfig.clientUrl}/verify-email?token=${token}`,
+    expiresHours: authConfig.emailVerificationExpiresHours
+  });
+
+  return sendEmail({ to: user.email, ...email });
+};
+
+/**
+ * Create a password reset token and email the link to the user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Result of sendEmail()
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(
+    user._id,
+    'password_reset',
+    authConfig.passwordResetExpiresMinutes * 60 * 1000
+  );
+
+  const email = passwordResetEmail({
+    firstName: user.firstName,
+    resetUrl: `${authConfig.clientUrl}/reset-password?token=${token}`,
+    expiresMinutes: authConfig.passwordResetExpiresMinutes
+  });
+
+  return sendEmail({ to: user.email, ...email });
+};
+
+/**
+ * Email a set-password link to a user created by an admin. The link uses
+ * the password reset flow, which also confirms the email address.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Result of sendEmail()
+ */
+const sendAccountInviteEmail = async (user) => {
+  const token = await createUserToken(
+    user._id,
+    'password_reset',
+    authConfig.accountInviteExpiresHours * 60 * 60 * 1000
+  );
+
+  const email = accountInviteEmail({
+    firstName: user.firstName,
+    setPasswordUrl: `${authConfig.clientUrl}/reset-password?token=${token}`,
+    expiresHours: authConfig.accountInviteExpiresHours
+  });
+
+  return sendEmail({ to: user.email, ...email });
+};
+
+/**
+ * Create an invitation token and email the accept link to an invited user
+ * @param {Object} user - Pending invitee (User document)
+ * @param {Object|null} inviter - Staff member who sent the invitation
+ * @returns {Promise<Object>} - Result of sendEmail()
+ */
+const sendInvitationEmail = async (user, inviter = null) => {
+  const token = await createUserToken(
+    user._id,
+    'invite',
+    authConfig.invitationExpiresHours * 60 * 60 * 1000
+  );
+
+  const email = invitationEmail({
+    firstName: user.firstName,
+    inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}` : null,
+    acceptUrl: `${authConfig.clientUrl}/accept-invite?token=${token}`,
+    expiresHours: authConfig.invitationExpiresHours
+  });
+
+  return sendEmail({ to: user.email, ...email });
+};
+
+/**
+ * Create a reactivation token and email the link to a self-deactivated user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Result of sendEmail()
+ */
+const sendReactivationEmail = async (user) => {
+  const token = await createUserToken(
+    user._id,
+    'reactivation',
+    authConfig.reactivationExpiresHours * 60 * 60 * 1000
+  );
+
+  const email = reactivationEmail({
+    firstName: user.firstName,
+    reactivateUrl: `${authConfig.clientUrl}/reactivate?token=${token}`,
+    expiresHours: authConfig.reactivationExpiresHours
+  });
+
+  return sendEmail({ to: user.email, ...email });
+};
+
+/**
+ * Email the download link of a finished personal data export
+ * @param {Object} user - User document
+ * @param {Object} params - { downloadUrl, expiresHours }
+ * @returns {Promise<Object>} - Result of sendEmail()
+ */
+const sendDataExportReadyEmail = (user, { downloadUrl, expiresHours }) => {
+  const email = dataExportReadyEmail({
+    firstName: user.firstName,
+    downloadUrl,
+    expiresHours
+  });
+
+  return sendEmail({ to: user.email, ...email });
+};
+
+/**
+ * Confirm to a user that their account is scheduled for deletion
+ * @param {Object} user - User document with a pending deletion
+ * @returns {Promise<Object>} - Result of sendEmail()
+ */
+const sendAccountDeletionEmail = async (user) => {
+  const settings = await getUserSettings(user);
+  const email = accountDeletionEmail({
+    firstName: user.firstName,
+    deletionDate: formatDateForUser(user.deletion.scheduledFor, settings),
+    loginUrl: `${authConfig.clientUrl}/login`
+  });
+
+  return sendEmail({ to: user.email, ...email });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountInviteEmail,
+  sendInvitationEmail,
+  sendReactivationEmail,
+  sendDataExportReadyEmail,
+  sendAccountDeletionEmail
+};
@@ -0,0 +1,461 @@
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const { analyticsConfig } = require('../config/analytics');
+const { getRollupTimezone, getStatTotals, readDailyStats, statKey } = require('./statRollups');
+const {
+  normalizeTimezone,
+  startOfZonedDay,
+  parseDay,
+  addDays,
+  formatDay,
+  getZonedToday
+} = require('./timezone');
+
+// Time series for the admin analytics endpoints. Periods are calendar days,
+// weeks (starting Monday) or months in the requested time zone, and are
+// labelled with the "YYYY-MM-DD" date they start on.
+//
+// Requests in the rollup time zone are answered from the daily statistics
+// rollups where the metric allows it; fresh=true (or another time zone)
+// queries the source collections instead. Every result says which was used
+// in its source field ("rollup" or "live").
+
+// Supported intervals and how many periods a series covers by default
+const INTERVALS = {
+  day: { defaultPeriods: 30 },
+  week: { defaultPeriods: 12 },
+  month: { defaultPeriods: 12 }
+};
+
+// Fields signups can be broken down by, and their daily rollup counters
+const BREAKDOWN_FIELDS = {
+  country: { path: '$address.country', rollup: 'signupsByCountry' },
+  gender: { path: '$gender', rollup: 'signupsByGender' }
+};
+
+// Breakdown values beyond this many are summed up as "Other"
+const MAX_BREAKDOWN_GROUPS = 10;
+
+// Longest retention window for signup cohorts, in weeks
+const MAX_COHORT_WEEKS = 52;
+
+// Move a calendar day back to the start of its period
+const startOfPeriod = (day, interval) => {
+  if (interval === 'week') {
+    const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+    return addDays(day, -((weekday + 6) % 7));
+  }
+  if (interval === 'month') {
+    return { ...day, day: 1 };
+  }
+  return day;
+};
+
+// Move a period start forward by a number of periods
+const addPeriods = (day, interval, count) => {
+  if (interval === 'week') return addDays(day, count * 7);
+  if (interval === 'month') {
+    const date = new Date(Date.UTC(day.year, day.month - 1 + count, 1));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: 1 };
+  }
+  return addDays(day, count);
+};
+
+/**
+ * Read the interval, date range and time zone of an analytics request.
+ * from and to are inclusive "YYYY-MM-DD" days in the time zone; from is
+ * moved back to the start of its period so the first period is complete.
+ * @param {Object} query - Request query (interval, from, to, tz)
+ * @param {Object} options - { intervals: allowed interval names,
+ *   defaultTimezone: time zone when the query has no tz }
+ * @returns {Object} - { range, errors } where range is
+ *   { interval, timezone, from, to, start, end, periods }
+ */
+const parseAnalyticsRange = (query, {
+  intervals = Object.keys(INTERVALS),
+  defaultTimezone = analyticsConfig.defaultTimezone
+} = {}) => {
+  const errors = [];
+
+  const interval = query.interval || intervals[0];
+  if (!intervals.includes(interval)) {
+    errors.push(`interval must be one of: ${intervals.join(', ')}`);
+  }
+
+  const timezone = normalizeTimezone(query.tz || defaultTimezone);
+  if (!timezone) {
+    errors.push('tz must be a valid IANA time zone, e.g. Europe/London');
+  }
+
+  const to = query.to ? parseDay(query.to) : null;
+  if (query.to && !to) errors.push('to must be a date in YYYY-MM-DD format');
+
+  const from = query.from ? parseDay(query.from) : null;
+  if (query.from && !from) errors.push('from must be a date in YYYY-MM-DD format');
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const lastDay = to || getZonedToday(timezone);
+  const firstDay = startOfPeriod(
+    from || addPeriods(startOfPeriod(lastDay, interval), interval, 1 - INTERVALS[interval].defaultPeriods),
+    interval
+  );
+
+  if (formatDay(firstDay) > formatDay(lastDay)) {
+    return { errors: ['from must not be after to'] };
+  }
+
+  const periods = [];
+  for (let day = firstDay; formatDay(day) <= formatDay(lastDay); day = addPeriods(day, interval, 1)) {
+    if (periods.length === analyticsConfig.maxSeriesPoints) {
+      return { errors: [`The range is too long: at most ${analyticsConfig.maxSeriesPoints} ${interval}s per request`] };
+    }
+    periods.push(formatDay(day));
+  }
+
+  return {
+    range: {
+      interval,
+      timezone,
+      from: formatDay(firstDay),
+      to: formatDay(lastDay),
+      start: startOfZonedDay(firstDay, timezone),
+      end: startOfZonedDay(addDays(lastDay, 1), timezone),
+      periods
+    },
+    errors
+  };
+};
+
+/**
+ * Build the aggregation expression labelling a date with the period it falls in
+ * @param {string} field - Date field path (e.g. "$createdAt")
+ * @param {Object} range - Result of parseAnalyticsRange()
+ * @returns {Object} - Aggregation expression giving a "YYYY-MM-DD" string
+ */
+const periodExpression = (field, { interval, timezone }) => ({
+  $dateToString: {
+    format: '%Y-%m-%d',
+    timezone,
+    date: {
+      $dateTrunc: {
+        date: field,
+        unit: interval,
+        timezone,
+        ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+      }
+    }
+  }
+});
+
+// Range fields returned with every series
+const describeRange = ({ interval, timezone, from, to }) => ({ interval, timezone, from, to });
+
+// Check whether a request can be answered from the daily rollups
+const canUseRollups = async (range, { fresh = false } = {}) => {
+  if (fresh || range.timezone !== getRollupTimezone()) return false;
+  return Boolean(await getStatTotals());
+};
+
+// Label of the period a rollup day falls in
+const periodOfDay = (day, interval) => formatDay(startOfPeriod(parseDay(day), interval));
+
+/**
+ * Count signups per period
+ * @param {Object} range - Result of parseAnalyticsRange()
+ * @param {Object} options - { fresh: skip the rollups }
+ * @returns {Promise<Object>} - { interval, timezone, from, to, source, total, series: [{ period, count }] }
+ */
+const getSignupSeries = async (range, options = {}) => {
+  const fromRollups = await canUseRollups(range, options);
+
+  const rows = fromRollups
+    ? (await readDailyStats(range.from, range.to)).map(stat => ({
+      _id: periodOfDay(stat.day, range.interval),
+      count: stat.signups
+    }))
+    : await User.aggregate([
+      { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+      { $group: { _id: periodExpression('$createdAt', range), count: { $sum: 1 } } }
+    ]);
+
+  const counts = new Map();
+  rows.forEach(row => counts.set(row._id, (counts.get(row._id) || 0) + row.count));
+  const series = range.periods.map(period => ({ period, count: counts.get(period) || 0 }));
+
+  return {
+    ...describeRange(range),
+    source: fromRollups ? 'rollup' : 'live',
+    total: series.reduce((sum, point) => sum + point.count, 0),
+    series
+  };
+};
+
+/**
+ * Count distinct users who logged in per period (DAU, WAU or MAU). Distinct
+ * counts cannot be added up across days, so only daily series use the rollups.
+ * @param {Object} range - Result of parseAnalyticsRange()
+ * @param {Object} options - { fresh: skip the rollups }
+ * @returns {Promise<Object>} - { interval, timezone, from, to, source, uniqueUsers,
+ *   series: [{ period, activeUsers, logins }] }
+ */
+const getActiveUserSeries = async (range, options = {}) => {
+  const match = { createdAt: { $gte: range.start, $lt: range.end } };
+  const fromRollups = range.interval === 'day' && await canUseRollups(range, options);
+
+  const [rows, unique] = await Promise.all([
+    fromRollups
+      ? readDailyStats(range.from, range.to).then(stats => stats.map(stat => ({
+        _id: stat.day,
+        activeUsers: stat.activeUsers,
+        logins: stat.logins
+      })))
+      : LoginEvent.aggregate([
+        { $match: match },
+        { $group: { _id: { period: periodExpression('$createdAt', range), user: '$user' }, logins: { $sum: 1 } } },
+        { $group: { _id: '$_id.period', activeUsers: { $sum: 1 }, logins: { $sum: '$logins' } } }
+      ]),
+    LoginEvent.aggregate([
+      { $match: match },
+      { $group: { _id: '$user' } },
+      { $count: 'count' }
+    ])
+  ]);
+
+  const byPeriod = new Map(rows.map(row => [row._id, row]));
+
+  return {
+    ...describeRange(range),
+    source: fromRollups ? 'rollup' : 'live',
+    uniqueUsers: unique.length > 0 ? unique[0].count : 0,
+    series: range.periods.map(period => ({
+      period,
+      activeUsers: byPeriod.has(period) ? byPeriod.get(period).activeUsers : 0,
+      logins: byPeriod.has(period) ? byPeriod.get(period).logins : 0
+    }))
+  };
+};
+
+/**
+ * Group weekly signup cohorts and the share of each that logged in during
+ * the following weeks. Only weeks that have started are reported.
+ * @param {Object} range - Result of parseAnalyticsRange() with a week interval
+ * @param {number} weeks - Number of weeks after signup to report
+ * @returns {Promise<Object>} - { interval, timezone, from, to, weeks, cohorts:
+ *   [{ cohort, size, retention: [{ week, users, rate }] }] }
+ */
+const getSignupCohorts = async (range, weeks) => {
+  const activityEnd = startOfZonedDay(addDays(parseDay(range.periods[range.periods.length - 1]), (weeks + 1) * 7), range.timezone);
+  const currentWeek = formatDay(startOfPeriod(getZonedToday(range.timezone), 'week'));
+
+  const [sizes, activity] = await Promise.all([
+    User.aggregate([
+      { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+      { $group: { _id: periodExpression('$createdAt', range), size: { $sum: 1 } } }
+    ]),
+    LoginEvent.aggregate([
+      {
+        $match: {
+          signedUpAt: { $gte: range.start, $lt: range.end },
+          createdAt: { $gte: range.start, $lt: activityEnd }
+        }
+      },
+      {
+        $project: {
+          user: 1,
+          cohort: periodExpression('$signedUpAt', range),
+          week: {
+            $dateDiff: {
+              startDate: '$signedUpAt',
+              endDate: '$createdAt',
+              unit: 'week',
+              timezone: range.timezone,
+              startOfWeek: 'monday'
+            }
+          }
+        }
+      },
+      { $match: { week: { $gte: 0, $lte: weeks } } },
+      { $group: { _id: { cohort: '$cohort', week: '$week', user: '$user' } } },
+      { $group: { _id: { cohort: '$_id.cohort', week: '$_id.week' }, users: { $sum: 1 } } }
+    ])
+  ]);
+
+  const sizeByCohort = new Map(sizes.map(row => [row._id, row.size]));
+  const activeUsers = new Map(activity.map(row => [`${row._id.cohort}:${row._id.week}`, row.users]));
+
+  const cohorts = range.periods.map(cohort => {
+    const size = sizeByCohort.get(cohort) || 0;
+    const retention = [];
+    for (let week = 0; week <= weeks; week++) {
+      if (formatDay(addDays(parseDay(cohort), week * 7)) > currentWeek) break;
+      const users = activeUsers.get(`${cohort}:${week}`) || 0;
+      retention.push({
+        week,
+        users,
+        rate: size > 0 ? Math.round((users / size) * 10000) / 10000 : 0
+      });
+    }
+    return { cohort, size, retention };
+  });
+
+  return { ...describeRange(range), source: 'live', weeks, cohorts };
+};
+
+/**
+ * Count signups per period, split by a profile field. The largest groups
+ * are reported separately and the rest are summed up as "Other".
+ * @param {Object} range - Result of parseAnalyticsRange()
+ * @param {string} by - Key of BREAKDOWN_FIELDS
+ * @param {Object} options - { fresh: skip the rollups }
+ * @returns {Promise<Object>} - { interval, timezone, from, to, source, by, groups: [{ value, total }],
+ *   series: [{ period, total, values: { <group>: count } }] }
+ */
+const getSignupBreakdown = async (range, by, options = {}) => {
+  const field = BREAKDOWN_FIELDS[by];
+  const fromRollups = await canUseRollups(range, options);
+
+  const rows = fromRollups
+    ? (await readDailyStats(range.from, range.to)).flatMap(stat => Object.entries(stat[field.rollup] || {})
+      .map(([value, count]) => ({ _id: { period: periodOfDay(stat.day, range.interval), value }, count })))
+    : await User.aggregate([
+      { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+      {
+        $group: {
+          _id: { period: periodExpression('$createdAt', range), value: field.path },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+  // Rank groups by their total over the whole range
+  const totals = new Map();
+  for (const row of rows) {
+    const value = statKey(row._id.value);
+    totals.set(value, (totals.get(value) || 0) + row.count);
+  }
+  const ranked = [...totals.entries()]
+    .filter(([, total]) => total > 0)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value, total]) => ({ value, total }));
+
+  const groups = ranked.slice(0, MAX_BREAKDOWN_GROUPS);
+  if (ranked.length > MAX_BREAKDOWN_GROUPS) {
+    groups.push({
+      value: 'Other',
+      total: ranked.slice(MAX_BREAKDOWN_GROUPS).reduce((sum, group) => sum + group.total, 0)
+    });
+  }
+  const reported = new Set(groups.map(group => group.value));
+
+  const series = range.periods.map(period => ({
+    period,
+    total: 0,
+    values: Object.fromEntries(groups.map(group => [group.value, 0]))
+  }));
+  const byPeriod = new Map(series.map(point => [point.period, point]));
+
+  for (const row of rows) {
+    const point = byPeriod.get(row._id.period);
+    if (!point || row.count === 0) continue;
+    const value = statKey(row._id.value);
+    const group = reported.has(value) ? value : 'Other';
+    point.values[group] += row.count;
+    point.total += row.count;
+  }
+
+  return { ...describeRange(range), source: fromRollups ? 'rollup' : 'live', by, groups, series };
+};
+
+// Turn counter maps into the { _id, count } shape of a $group result
+const toDistribution = (counts) => Object.entries(counts || {})
+  .filter(([, count]) => count > 0)
+  .map(([value, count]) => ({ _id: value === 'Unknown' ? null : value, count }));
+
+/**
+ * Get the user counts shown on the admin dashboard. New user counts cover
+ * today, the last 7 days and the last 30 days (including today) in the
+ * given time zone.
+ * @param {string} timezone - IANA time zone name
+ * @param {Object} options - { fresh: skip the rollups }
+ * @returns {Promise<Object>} - { source, overview, genderDistribution, roleDistribution }
+ */
+const getUserOverview = async (timezone, { fresh = false } = {}) => {
+  const today = getZonedToday(timezone);
+  const totals = !fresh && timezone === getRollupTimezone() ? await getStatTotals() : null;
+
+  if (totals) {
+    const stats = await readDailyStats(formatDay(addDays(today, -29)), formatDay(today));
+    const signupsSince = (daysAgo) => {
+      const fromDay = formatDay(addDays(today, -daysAgo));
+      return stats.filter(stat => stat.day >= fromDay).reduce((sum, stat) => sum + stat.signups, 0);
+    };
+
+    return {
+      source: 'rollup',
+      overview: {
+        totalUsers: totals.total,
+        activeUsers: totals.active,
+        inactiveUsers: totals.inactive,
+        newUsersThisMonth: signupsSince(29),
+        newUsersThisWeek: signupsSince(6),
+        newUsersToday: signupsSince(0)
+      },
+      genderDistribution: toDistribution(totals.byGender),
+      roleDistribution: toDistribution(totals.byRole)
+    };
+  }
+
+  const signupsSince = (daysAgo) => User.countDocuments({
+    createdAt: { $gte: startOfZonedDay(addDays(today, -daysAgo), timezone) }
+  });
+
+  const [
+    totalUsers,
+    activeUsers,
+    inactiveUsers,
+    newUsersThisMonth,
+    newUsersThisWeek,
+    newUsersToday,
+    genderDistribution,
+    roleDistribution
+  ] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ isActive: true }),
+    User.countDocuments({ isActive: false }),
+    signupsSince(29),
+    signupsSince(6),
+    signupsSince(0),
+    User.aggregate([{ $group: { _id: '$gender', count: { $sum: 1 } } }]),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+  ]);
+
+  return {
+    source: 'live',
+    overview: {
+      totalUsers,
+      activeUsers,
+      inactiveUsers,
+      newUsersThisMonth,
+      newUsersThisWeek,
+      newUsersToday
+    },
+    genderDistribution,
+    roleDistribution
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  BREAKDOWN_FIELDS,
+  MAX_COHORT_WEEKS,
+  parseAnalyticsRange,
+  periodExpression,
+  getSignupSeries,
+  getActiveUserSeries,
+  getSignupCohorts,
+  getSignupBreakdown,
+  getUserOverview
+};
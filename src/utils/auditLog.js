@@ -0,0 +1,96 @@
+const AuditLog = require('../models/AuditLog');
+const { getClientInfo } = require('./tokenUtils');
+
+// User fields compared when recording an account change
+const AUDITED_USER_FIELDS = [
+  'firstName',
+  'lastName',
+  'email',
+  'phoneNumber',
+  'gender',
+  'dateOfBirth',
+  'isActive',
+  'isVerified',
+  'role',
+  'tags',
+  'bio',
+  'address.street',
+  'address.city',
+  'address.state',
+  'address.country',
+  'address.zipCode',
+  'socialLinks.facebook',
+  'socialLinks.twitter',
+  'socialLinks.linkedin',
+  'socialLinks.instagram',
+  'twoFactor.enabled'
+];
+
+// Read a dotted path from a plain object
+const getPath = (object, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  object
+);
+
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && typeof value.toString === 'function' && value._bsontype) {
+    return value.toString();
+  }
+  return value;
+};
+
+/**
+ * List the fields that differ between two versions of a record
+ * @param {Object} before - Record before the change (document or plain object)
+ * @param {Object} after - Record after the change (document or plain object)
+ * @param {string[]} fields - Dotted field paths to compare
+ * @returns {Array<Object>} - [{ field, before, after }]
+ */
+const diffFields = (before, after, fields = AUDITED_USER_FIELDS) => {
+  const beforeObject = before && before.toObject ? before.toObject() : (before || {});
+  const afterObject = after && after.toObject ? after.toObject() : (after || {});
+
+  return fields.reduce((changes, field) => {
+    const oldValue = normalize(getPath(beforeObject, field));
+    const newValue = normalize(getPath(afterObject, field));
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+    return changes;
+  }, []);
+};
+
+/**
+ * Append an entry to the audit log. Failures are logged and never
+ * interrupt the action being audited.
+ * @param {Object|null} req - Express request of the acting user (null for system jobs)
+ * @param {Object} entry - { action, targetType, targetIds, changes, metadata }
+ * @returns {Promise<Object|null>} - Created entry, or null on failure
+ */
+const recordAudit = async (req, { action, targetType = 'user', targetIds = [], changes = [], metadata = {} }) => {
+  try {
+    const actor = (req && req.user) || {};
+    return await AuditLog.create({
+      actor: actor._id || null,
+      actorEmail: actor.email || null,
+      actorRole: actor.role || null,
+      action,
+      targetType,
+      targetIds: targetIds.map(id => id.toString()),
+      changes,
+      metadata,
+      ...getClientInfo(req)
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  AUDITED_USER_FIELDS,
+  diffFields,
+  recordAudit
+};
@@ -0,0 +1,69 @@
+const User = require('../models/User');
+const { validatePassword, hashPassword } = require('./passwordPolicy');
+const { userStatSnapshot, emitUserCreated, emitUserChanged, emitUserRestored } = require('./userEvents');
+
+/**
+ * Create the first admin account from ADMIN_EMAIL / ADMIN_PASSWORD.
+ * Only runs while no admin exists, so the env credentials stop mattering
+ * once the first admin has been created.
+ * @returns {Promise<Object|null>} - The bootstrapped admin, or null if nothing was done
+ */
+const bootstrapAdmin = async () => {
+  try {
+    const existingAdmin = await User.exists({ role: 'admin' });
+    if (existingAdmin) {
+      return null;
+    }
+
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!email || !password) {
+      console.warn('No admin account exists. Set ADMIN_EMAIL and ADMIN_PASSWORD to create one on startup.');
+      return null;
+    }
+
+    const passwordErrors = validatePassword(password, { email });
+    if (passwordErrors.length > 0) {
+      console.warn('ADMIN_PASSWORD does not meet the password policy:', passwordErrors.join('; '));
+    }
+
+    // Promote (or restore) an existing account with the same email, or create a new one
+    let admin = await User.findOne({ email: email.toLowerCase().trim() }).withDeleted();
+    if (admin) {
+      const wasDeleted = Boolean(admin.deletedAt);
+      const before = userStatSnapshot(admin);
+      admin.deletedAt = null;
+      admin.deletedBy = null;
+      admin.role = 'admin';
+      admin.password = await hashPassword(password);
+      admin.isActive = true;
+      admin.isVerified = true;
+      await admin.save();
+      if (wasDeleted) {
+        emitUserRestored(admin);
+      } else {
+        emitUserChanged(before, admin);
+      }
+    } else {
+      admin = await User.create({
+        firstName: 'Admin',
+        lastName: 'User',
+        email,
+        password: await hashPassword(password),
+        role: 'admin',
+        isVerified: true
+      });
+      emitUserCreated(admin);
+    }
+
+    console.log('Bootstrapped admin account:', admin.email);
+    console.log('You can now remove ADMIN_PASSWORD from the environment.');
+    return admin;
+  } catch (error) {
+    console.error('Admin bootstrap error:', error);
+    return null;
+  }
+};
+
+module.exports = bootstrapAdmin;
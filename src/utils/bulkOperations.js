@@ -0,0 +1,200 @@
+const User = require('../models/User');
+const BulkJob = require('../models/BulkJob');
+const { softDeleteUsers } = require('./userDeletion');
+const { revokeUserSessions } = require('./tokenUtils');
+const { sendPasswordResetEmail } = require('./accountEmails');
+const { normalizeTag } = require('./tags');
+const { USER_STAT_FIELDS, userStatSnapshot, emitUserChanged } = require('./userEvents');
+const { parseSuspensionInput, isSuspended, suspendUser, activateUser } = require('./suspensions');
+
+// Bulk operations on users. Each operation lists the permissions it needs on
+// top of users:bulk, validates its params and applies itself to one user.
+
+// Jobs with more targets than this run in the background
+const BULK_SYNC_LIMIT = 100;
+
+// Maximum number of users in one bulk job
+const BULK_MAX_TARGETS = 10000;
+
+// Progress is saved after this many users
+const PROGRESS_BATCH_SIZE = 50;
+
+// A running job that has not saved progress for this long is assumed to
+// have died with its process
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+const ROLES = ['user', 'admin', 'moderator'];
+
+// Suspension details for a bulk deactivation (reason "other" unless given)
+const bulkSuspensionInput = (params) => parseSuspensionInput({ ...params, reason: params.reason || 'other' });
+
+// Update one user and announce the change to lifecycle listeners
+const updateUserFields = async (user, fields) => {
+  const result = await User.updateOne({ _id: user._id }, fields);
+  if (result.modifiedCount > 0) {
+    emitUserChanged(userStatSnapshot(user), { ...user.toObject(), ...fields });
+  }
+  return result;
+};
+
+const BULK_OPERATIONS = {
+  // Lifts suspensions and clears self-deactivations
+  activate: {
+    permissions: ['users:status'],
+    apply: (user, params, actorId) => activateUser(user, { _id: actorId, email: null })
+  },
+
+  // Suspends users; params take the same suspension details as a single suspension
+  deactivate: {
+    permissions: ['users:status'],
+    validate: (params) => {
+      const { errors } = bulkSuspensionInput(params);
+      return errors.length > 0 ? errors.join('; ') : null;
+    },
+    apply: async (user, params, actorId) => {
+      if (isSuspended(user)) return;
+      await suspendUser(user, bulkSuspensionInput(params).details, { _id: actorId, email: null });
+    }
+  },
+
+  delete: {
+    permissions: ['users:delete'],
+    apply: (user, params, actorId) => softDeleteUsers([user._id], actorId)
+  },
+
+  changeRole: {
+    permissions: ['users:role'],
+    validate: (params) => (ROLES.includes(params.role) ? null : `role must be one of: ${ROLES.join(', ')}`),
+    apply: (user, params, actorId) => {
+      // Admins cannot change their own role, here or through the user routes
+      if (user._id.equals(actorId)) {
+        throw new Error('Cannot change your own role');
+      }
+      return updateUserFields(user, { role: params.role });
+    }
+  },
+
+  verify: {
+    permissions: ['users:update'],
+    apply: (user) => User.updateOne({ _id: user._id }, { isVerified: true })
+  },
+
+  resetPassword: {
+    permissions: ['users:security'],
+    apply: async (user) => {
+      await revokeUserSessions(user._id, 'password_reset');
+      const result = await sendPasswordResetEmail(user);
+      if (!result.success) {
+        throw new Error('Failed to send password reset email');
+      }
+    }
+  },
+
+  addTag: {
+    permissions: ['users:update'],
+    validate: (params) => (normalizeTag(params.tag) ? null : 'tag must be 1-50 letters, digits, spaces, dashes or underscores'),
+    apply: (user, params) => User.updateOne({ _id: user._id }, { $addToSet: { tags: normalizeTag(params.tag) } })
+  }
+};
+
+/**
+ * Run a bulk job, saving progress as it goes
+ * @param {Object} job - BulkJob document
+ * @returns {Promise<Object>} - The finished job
+ */
+const runBulkJob = async (job) => {
+  const operation = BULK_OPERATIONS[job.operation];
+
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  let pending = { processed: 0, succeeded: 0, failed: 0, results: [] };
+
+  const flush = async () => {
+    if (pending.processed === 0) return;
+    await BulkJob.updateOne(
+      { _id: job._id },
+      {
+        $inc: { processed: pending.processed, succeeded: pending.succeeded, failed: pending.failed },
+        $push: { results: { $each: pending.results } }
+      }
+    );
+    pending = { processed: 0, succeeded: 0, failed: 0, results: [] };
+  };
+
+  try {
+    const cursor = User.find({ _id: { $in: job.targetIds } })
+      .select(`firstName lastName email suspension deactivatedAt ${USER_STAT_FIELDS}`)
+      .cursor();
+
+    const found = new Set();
+
+    for await (const user of cursor) {
+      found.add(user._id.toString());
+      try {
+        await operation.apply(user, job.params || {}, job.createdBy);
+        pending.succeeded++;
+        pending.results.push({ userId: user._id, email: user.email, success: true });
+      } catch (error) {
+        pending.failed++;
+        pending.results.push({ userId: user._id, email: user.email, success: false, error: error.message });
+      }
+      pending.processed++;
+
+      if (pending.processed >= PROGRESS_BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    // Users deleted between job creation and the run
+    job.targetIds
+      .filter(id => !found.has(id.toString()))
+      .forEach(id => {
+        pending.processed++;
+        pending.failed++;
+        pending.results.push({ userId: id, success: false, error: 'User not found' });
+      });
+
+    await flush();
+    await BulkJob.updateOne({ _id: job._id }, { status: 'completed', finishedAt: new Date() });
+  } catch (error) {
+    console.error('Bulk job error:', error);
+    await flush().catch(() => {});
+    await BulkJob.updateOne(
+      { _id: job._id },
+      { status: 'failed', error: error.message, finishedAt: new Date() }
+    );
+  }
+
+  return BulkJob.findById(job._id);
+};
+
+/**
+ * Mark jobs whose process stopped (e.g. a restart) as failed
+ * @returns {Promise<number>} - Number of jobs marked as failed
+ */
+const failStaleBulkJobs = async () => {
+  try {
+    const result = await BulkJob.updateMany(
+      {
+        status: { $in: ['queued', 'running'] },
+        updatedAt: { $lt: new Date(Date.now() - STALE_JOB_MS) }
+      },
+      { status: 'failed', error: 'Job stopped before it finished', finishedAt: new Date() }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    console.error('Stale bulk jobs cleanup error:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  BULK_SYNC_LIMIT,
+  BULK_MAX_TARGETS,
+  BULK_OPERATIONS,
+  STALE_JOB_MS,
+  runBulkJob,
+  failStaleBulkJobs
+};
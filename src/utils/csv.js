@@ -0,0 +1,142 @@
+// CSV building and parsing (RFC 4180)
+
+/**
+ * Stop spreadsheet apps from running a value as a formula (CSV injection)
+ * by prefixing it with a single quote. Plain signed numbers such as phone
+ * numbers are left alone.
+ * @param {string} text - Cell text
+ * @returns {string} - Safe cell text
+ */
+const neutralizeFormula = (text) => {
+  if (/^[=@\t\r]/.test(text)) return `'${text}`;
+  if (/^[+-]/.test(text) && !/^[+-][\d\s().]*$/.test(text)) return `'${text}`;
+  return text;
+};
+
+/**
+ * Escape a single CSV value, quoting it when needed
+ * @param {*} value - Value to escape
+ * @returns {string} - CSV field
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  text = neutralizeFormula(text);
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Build one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} - CSV line ending in CRLF
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Build a CSV document
+ * @param {Array<Object>} columns - [{ header, value: (row) => any }]
+ * @param {Array} rows - Rows to convert
+ * @returns {string} - CSV text with a header line
+ */
+const toCsv = (columns, rows) => {
+  const header = toCsvRow(columns.map(column => column.header));
+  return header + rows.map(row => toCsvRow(columns.map(column => column.value(row)))).join('');
+};
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields, escaped quotes,
+ * commas and line breaks inside quotes, CRLF or LF line endings and a BOM.
+ * @param {string} text - CSV text
+ * @returns {Array<string[]>} - Rows (blank lines are skipped)
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header line into objects keyed by header
+ * @param {string} text - CSV text
+ * @returns {Object} - { headers, records: [{ row, values }] } (the header is row 1)
+ */
+const parseCsvRecords = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+  return {
+    headers: headers.map(header => header.trim()),
+    records: rows.map((row, index) => ({
+      row: index + 2,
+      values: headers.reduce((record, header, column) => {
+        record[header.trim()] = row[column] !== undefined ? row[column] : '';
+        return record;
+      }, {})
+    }))
+  };
+};
+
+module.exports = {
+  neutralizeFormula,
+  escapeCsvValue,
+  toCsvRow,
+  toCsv,
+  parseCsv,
+  parseCsvRecords
+};
@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
+const AuditLog = require('../models/AuditLog');
+const Connection = require('../models/Connection');
+const Suspension = require('../models/Suspension');
+const DataExport = require('../models/DataExport');
+const { generateRandomToken, hashToken } = require('./tokenUtils');
+const { sendDataExportReadyEmail } = require('./accountEmails');
+const { getUserSettings } = require('./userSettings');
+const { ensureDirectoryExists, getDataExportsDir, safeDeleteFile } = require('./fileUtils');
+const { userConfig } = require('../config/users');
+const { authConfig } = require('../config/auth');
+
+// Personal data exports: a zip archive of JSON files with everything held
+// about a user, plus their stored avatar. Staff-only data (tags, internal
+// notes, internal suspension notes, the identity of staff who acted on the
+// account) is left out.
+
+// Increment when the layout of the archive changes
+const EXPORT_FORMAT_VERSION = 1;
+
+// Audit entries that only concern staff-only data
+const STAFF_ONLY_AUDIT_ACTIONS = ['user.note_add', 'user.note_edit', 'user.note_delete'];
+const STAFF_ONLY_FIELDS = ['tags'];
+
+const AVATAR_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+/**
+ * Build the download URL of an export
+ * @param {string} token - Plaintext download token
+ * @returns {string} - Absolute download URL
+ */
+const getDataExportDownloadUrl = (token) => `${authConfig.apiUrl}/api/user/data-export/download/${token}`;
+
+/**
+ * Shape an export for responses
+ * @param {Object} dataExport - DataExport document
+ * @returns {Object} - Serialized export
+ */
+const serializeDataExport = (dataExport) => ({
+  _id: dataExport._id,
+  user: dataExport.user,
+  status: dataExport.status,
+  requestedByStaff: dataExport.requestedByStaff,
+  size: dataExport.size,
+  error: dataExport.error,
+  createdAt: dataExport.createdAt,
+  readyAt: dataExport.readyAt,
+  expiresAt: dataExport.expiresAt,
+  downloadedAt: dataExport.downloadedAt
+});
+
+/**
+ * Check if a user has to wait before requesting another export of their own data
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Seconds to wait, 0 if a request is allowed now
+ */
+const getDataExportWait = async (userId) => {
+  const since = new Date(Date.now() - userConfig.dataExportCooldownHours * 60 * 60 * 1000);
+  const recent = await DataExport.findOne({
+    user: userId,
+    requestedByStaff: false,
+    status: { $ne: 'failed' },
+    createdAt: { $gte: since }
+  }).sort({ createdAt: -1 });
+
+  if (!recent) return 0;
+  const readyAt = recent.createdAt.getTime() + userConfig.dataExportCooldownHours * 60 * 60 * 1000;
+  return Math.max(0, Math.ceil((readyAt - Date.now()) / 1000));
+};
+
+/**
+ * Find an export of a user's data that has not finished yet
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - DataExport document, or null
+ */
+const findUnfinishedDataExport = (userId) => DataExport.findOne({
+  user: userId,
+  status: { $in: ['queued', 'running'] }
+});
+
+// Profile as the user sees it, without staff-only fields
+const exportProfile = (user) => {
+  const profile = user.getPublicProfile();
+  delete profile.invitation;
+  if (profile.suspension) {
+    delete profile.suspension.suspensionId;
+  }
+  return profile;
+};
+
+// Audit entries about the user, without staff identities or staff-only data
+const exportAuditEntries = async (userId) => {
+  const entries = await AuditLog.find({
+    targetIds: userId.toString(),
+    action: { $nin: STAFF_ONLY_AUDIT_ACTIONS }
+  }).sort({ createdAt: 1 }).lean();
+
+  return entries.map(entry => ({
+    action: entry.action,
+    at: entry.createdAt,
+    byRole: entry.actor && entry.actor.toString() === userId.toString() ? 'self' : entry.actorRole || 'system',
+    changes: (entry.changes || []).filter(change => !STAFF_ONLY_FIELDS.includes(change.field))
+  }));
+};
+
+/**
+ * Collect everything held about a user, for the data export archive
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - { user, files: { name: data } }, or null if the user is gone
+ */
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).withDeleted();
+  if (!user) return null;
+
+  const [sessions, logins, auditEntries, connections, suspensions, settings] = await Promise.all([
+    Session.find({ userId: userId.toString() })
+      .select('userAgent ipAddress lastUsedAt expiresAt revokedAt revokedReason createdAt')
+      .sort({ createdAt: 1 })
+      .lean(),
+    LoginEvent.find({ user: userId })
+      .select('ipAddress userAgent createdAt')
+      .sort({ createdAt: 1 })
+      .lean(),
+    exportAuditEntries(userId),
+    Connection.find({ $or: [{ requester: userId }, { recipient: userId }] })
+      .populate({ path: 'requester recipient', select: 'firstName lastName', options: { withDeleted: true } })
+      .sort({ createdAt: 1 }),
+    Suspension.find({ user: userId })
+      .select('reason publicMessage endsAt liftedAt liftReason createdAt')
+      .sort({ createdAt: 1 })
+      .lean(),
+    getUserSettings(user)
+  ]);
+
+  return {
+    user,
+    files: {
+      'profile.json': exportProfile(user),
+      'login-history.json': logins.map(login => ({
+        at: login.createdAt,
+        ipAddress: login.ipAddress,
+        userAgent: login.userAgent
+      })),
+      'sessions.json': sessions.map(({ _id, ...session }) => session),
+      'audit-log.json': auditEntries,
+      'connections.json': connections.map(connection => {
+        const isRequester = connection.requester && connection.requester._id.equals(userId);
+        const other = isRequester ? connection.recipient : connection.requester;
+        return {
+          user: other ? { _id: other._id, firstName: other.firstName, lastName: other.lastName } : null,
+          direction: isRequester ? 'sent' : 'received',
+          status: connection.status,
+          requestedAt: connection.createdAt,
+          acceptedAt: connection.acceptedAt
+        };
+      }),
+      'suspensions.json': suspensions.map(suspension => ({
+        reason: suspension.reason,
+        message: suspension.publicMessage,
+        suspendedAt: suspension.createdAt,
+        endsAt: suspension.endsAt,
+        liftedAt: suspension.liftedAt,
+        liftReason: suspension.liftReason
+      })),
+      // Choices the user has made about how their data is shared
+      'consents.json': {
+        privacy: user.toObject().privacy || {},
+        notifications: settings.notifications
+      },
+      'settings.json': settings
+    }
+  };
+};
+
+// Download the stored avatar; a failure leaves it out of the archive
+const fetchAvatar = async (url) => {
+  if (!url) return { included: false };
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      return { included: false, error: `Avatar download failed (HTTP ${response.status})` };
+    }
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    const extension = AVATAR_EXTENSIONS[contentType] || path.extname(new URL(url).pathname) || '.img';
+    return {
+      included: true,
+      fileName: `avatar${extension}`,
+      buffer: Buffer.from(await response.arrayBuffer())
+    };
+  } catch (error) {
+    return { included: false, error: `Avatar download failed: ${error.message}` };
+  }
+};
+
+// Write the archive and resolve with its size in bytes
+const writeArchive = (filePath, entries) => new Promise((resolve, reject) => {
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  output.on('close', () => resolve(archive.pointer()));
+  output.on('error', reject);
+  archive.on('error', reject);
+  archive.on('warning', reject);
+
+  archive.pipe(output);
+  entries.forEach(({ name, content }) => archive.append(content, { name }));
+  archive.finalize();
+});
+
+/**
+ * Build the archive of an export and, for exports requested by the user,
+ * email them the download link
+ * @param {Object} dataExport - DataExport document
+ * @param {Object} options - { token: plaintext download token, for the email }
+ * @returns {Promise<Object>} - The updated export
+ */
+const runDataExport = async (dataExport, { token = null } = {}) => {
+  dataExport.status = 'running';
+  await dataExport.save();
+
+  let filePath = null;
+  try {
+    const data = await collectUserData(dataExport.user);
+    if (!data) {
+      throw new Error('User not found');
+    }
+
+    const avatar = await fetchAvatar(data.user.profilePicture);
+    const generatedAt = new Date();
+
+    const entries = Object.entries(data.files).map(([name, content]) => ({
+      name,
+      content: JSON.stringify(content, null, 2)
+    }));
+    if (avatar.included) {
+      entries.push({ name: avatar.fileName, content: avatar.buffer });
+    }
+    entries.unshift({
+      name: 'manifest.json',
+      content: JSON.stringify({
+        formatVersion: EXPORT_FORMAT_VERSION,
+        userId: data.user._id,
+        email: data.user.email,
+        generatedAt,
+        files: entries.map(entry => entry.name),
+        avatar: avatar.included ? avatar.fileName : null,
+        ...(avatar.error ? { avatarError: avatar.error } : {})
+      }, null, 2)
+    });
+
+    const dir = getDataExportsDir();
+    ensureDirectoryExists(dir);
+    filePath = path.join(dir, `${dataExport._id}.zip`);
+
+    dataExport.size = await writeArchive(filePath, entries);
+    dataExport.filePath = filePath;
+    dataExport.status = 'ready';
+    dataExport.readyAt = generatedAt;
+    dataExport.expiresAt = new Date(generatedAt.getTime() + userConfig.dataExportExpiresHours * 60 * 60 * 1000);
+    await dataExport.save();
+
+    if (token && !dataExport.requestedByStaff) {
+      const emailResult = await sendDataExportReadyEmail(data.user, {
+        downloadUrl: getDataExportDownloadUrl(token),
+        expiresHours: userConfig.dataExportExpiresHours
+      });
+      if (!emailResult.success) {
+        console.error('Failed to send data export email to:', data.user.email);
+      }
+    }
+  } catch (error) {
+    console.error('Data export error:', dataExport._id.toString(), error);
+    if (filePath) safeDeleteFile(filePath);
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    dataExport.filePath = null;
+    await dataExport.save();
+  }
+
+  return dataExport;
+};
+
+/**
+ * Create an export of a user's data and build it in the background
+ * @param {Object} params - { userId, requestedBy: user making the request, requestedByStaff }
+ * @returns {Promise<Object>} - { dataExport, downloadUrl }
+ */
+const startDataExport = async ({ userId, requestedBy, requestedByStaff = false }) => {
+  const token = generateRandomToken();
+
+  const dataExport = await DataExport.create({
+    user: userId,
+    requestedBy: requestedBy._id,
+    requestedByEmail: requestedBy.email,
+    requestedByStaff,
+    downloadTokenHash: hashToken(token)
+  });
+
+  setImmediate(() => {
+    runDataExport(dataExport, { token }).catch(error => console.error('Data export error:', error));
+  });
+
+  return { dataExport, downloadUrl: getDataExportDownloadUrl(token) };
+};
+
+/**
+ * Claim an export for download. Each export can only be downloaded once.
+ * @param {string} token - Plaintext download token
+ * @returns {Promise<Object>} - { dataExport } on success, otherwise
+ *   { error: 'not_found' | 'not_ready' | 'unavailable', dataExport }
+ */
+const claimDataExportDownload = async (token) => {
+  if (typeof token !== 'string' || !token) return { error: 'not_found' };
+
+  const downloadTokenHash = hashToken(token);
+  const claimed = await DataExport.findOneAndUpdate(
+    { downloadTokenHash, status: 'ready', expiresAt: { $gt: new Date() } },
+    { status: 'downloaded', downloadedAt: new Date() },
+    { new: true }
+  );
+  if (claimed) return { dataExport: claimed };
+
+  const dataExport = await DataExport.findOne({ downloadTokenHash });
+  if (!dataExport) return { error: 'not_found' };
+  if (['queued', 'running'].includes(dataExport.status)) return { error: 'not_ready', dataExport };
+  return { error: 'unavailable', dataExport };
+};
+
+/**
+ * Delete an export's archive from disk
+ * @param {Object} dataExport - DataExport document
+ * @returns {Promise<Object>} - The updated export
+ */
+const removeDataExportFile = async (dataExport) => {
+  if (dataExport.filePath) {
+    safeDeleteFile(dataExport.filePath);
+  }
+  dataExport.filePath = null;
+  await dataExport.save();
+  return dataExport;
+};
+
+/**
+ * Remove the archives of expired exports and fail exports whose build
+ * stopped with its process
+ * @returns {Promise<Object>} - { expired, failed }
+ */
+const cleanupDataExports = async () => {
+  const now = new Date();
+  const expiredExports = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } });
+
+  for (const dataExport of expiredExports) {
+    dataExport.status = 'expired';
+    await removeDataExportFile(dataExport);
+  }
+
+  // Builds take seconds; one still unfinished after an hour has died
+  const stale = await DataExport.updateMany(
+    { status: { $in: ['queued', 'running'] }, updatedAt: { $lt: new Date(now.getTime() - 60 * 60 * 1000) } },
+    { status: 'failed', error: 'Export stopped before it finished' }
+  );
+
+  return { expired: expiredExports.length, failed: stale.modifiedCount };
+};
+
+/**
+ * Delete all exports of a user's data, with their archives
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of exports deleted
+ */
+const deleteUserDataExports = async (userId) => {
+  const exports = await DataExport.find({ user: userId }).select('filePath');
+  exports.forEach(dataExport => {
+    if (dataExport.filePath) safeDeleteFile(dataExport.filePath);
+  });
+  const result = await DataExport.deleteMany({ user: userId });
+  return result.deletedCount;
+};
+
+module.exports = {
+  serializeDataExport,
+  getDataExportWait,
+  findUnfinishedDataExport,
+  collectUserData,
+  runDataExport,
+  startDataExport,
+  claimDataExportDownload,
+  removeDataExportFile,
+  cleanupDataExports,
+  deleteUserDataExports
+};
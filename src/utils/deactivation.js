@@ -0,0 +1,57 @@
+const { revokeUserSessions } = require('./tokenUtils');
+const { isSuspended } = require('./suspensions');
+const { userStatSnapshot, emitUserChanged } = require('./userEvents');
+
+// Accounts deactivated by their owner. They can be reactivated by the owner
+// (by logging in and confirming, or with an emailed link). Accounts made
+// inactive by staff - suspensions, or inactive accounts without a
+// deactivatedAt date - can only be reactivated by staff.
+
+/**
+ * Check if a user may reactivate their account themselves
+ * @param {Object} user - User document
+ * @returns {boolean} - True for self-deactivated accounts with no suspension
+ */
+const canSelfReactivate = (user) => Boolean(
+  user && !user.isActive && user.deactivatedAt && !isSuspended(user)
+);
+
+/**
+ * Deactivate the user's own account and sign them out everywhere
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Updated user
+ */
+const deactivateOwnAccount = async (user) => {
+  const before = userStatSnapshot(user);
+  user.isActive = false;
+  user.deactivatedAt = new Date();
+  await user.save();
+  emitUserChanged(before, user);
+
+  await revokeUserSessions(user._id, 'account_deactivated');
+  return user;
+};
+
+/**
+ * Reactivate a self-deactivated account
+ * @param {Object} user - User document (check canSelfReactivate() first)
+ * @returns {Promise<Object>} - Updated user
+ */
+const reactivateOwnAccount = async (user) => {
+  if (!canSelfReactivate(user)) {
+    throw new Error('Account cannot be reactivated by its owner');
+  }
+
+  const before = userStatSnapshot(user);
+  user.isActive = true;
+  user.deactivatedAt = null;
+  await user.save();
+  emitUserChanged(before, user);
+  return user;
+};
+
+module.exports = {
+  canSelfReactivate,
+  deactivateOwnAccount,
+  reactivateOwnAccount
+};
@@ -0,0 +1,144 @@
+// Email templates. Each returns { subject, text, html }.
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Wrap a message body and a call-to-action link in the shared layout
+const buildEmail = ({ subject, greeting, lines, actionText, actionUrl }) => {
+  const text = [greeting, '', ...lines, '', `${actionText}: ${actionUrl}`].join('\n');
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+    `<p><a href="${escapeHtml(actionUrl)}">${escapeHtml(actionText)}</a></p>`
+  ].join('\n');
+
+  return { subject, text, html };
+};
+
+/**
+ * Email asking a user to verify their email address
+ * @param {Object} params - { firstName, verifyUrl, expiresHours }
+ * @returns {Object} - { subject, text, html }
+ */
+const verificationEmail = ({ firstName, verifyUrl, expiresHours }) => buildEmail({
+  subject: 'Verify your email address',
+  greeting: `Hi ${firstName || 'there'},`,
+  lines: [
+    'Please confirm your email address to finish setting up your account.',
+    `This link expires in ${expiresHours} hours. If you did not create an account, you can ignore this email.`
+  ],
+  actionText: 'Verify email',
+  actionUrl: verifyUrl
+});
+
+/**
+ * Email with a link to reset a forgotten password
+ * @param {Object} params - { firstName, resetUrl, expiresMinutes }
+ * @returns {Object} - { subject, text, html }
+ */
+const passwordResetEmail = ({ firstName, resetUrl, expiresMinutes }) => buildEmail({
+  subject: 'Reset your password',
+  greeting: `Hi ${firstName || 'there'},`,
+  lines: [
+    'We received a request to reset the password for your account.',
+    `This link expires in ${expiresMinutes} minutes and can only be used once. If you did not request a password reset, you can ignore this email.`
+  ],
+  actionText: 'Reset password',
+  actionUrl: resetUrl
+});
+
+/**
+ * Email inviting an imported user to set a password
+ * @param {Object} params - { firstName, setPasswordUrl, expiresHours }
+ * @returns {Object} - { subject, text, html }
+ */
+const accountInviteEmail = ({ firstName, setPasswordUrl, expiresHours }) => buildEmail({
+  subject: 'Your account is ready',
+  greeting: `Hi ${firstName || 'there'},`,
+  lines: [
+    'An account has been created for you. Choose a password to start using it.',
+    `This link expires in ${expiresHours} hours and can only be used once.`
+  ],
+  actionText: 'Set password',
+  actionUrl: setPasswordUrl
+});
+
+/**
+ * Email inviting someone to join with an account created by an admin
+ * @param {Object} params - { firstName, inviterName, acceptUrl, expiresHours }
+ * @returns {Object} - { subject, text, html }
+ */
+const invitationEmail = ({ firstName, inviterName, acceptUrl, expiresHours }) => buildEmail({
+  subject: 'You have been invited',
+  greeting: `Hi ${firstName || 'there'},`,
+  lines: [
+    inviterName
+      ? `${inviterName} has invited you to join. Accept the invitation to choose a password and finish your profile.`
+      : 'You have been invited to join. Accept the invitation to choose a password and finish your profile.',
+    `This link expires in ${expiresHours} hours and can only be used once. If you were not expecting this invitation, you can ignore this email.`
+  ],
+  actionText: 'Accept invitation',
+  actionUrl: acceptUrl
+});
+
+/**
+ * Email with a link to reactivate a self-deactivated account
+ * @param {Object} params - { firstName, reactivateUrl, expiresHours }
+ * @returns {Object} - { subject, text, html }
+ */
+const reactivationEmail = ({ firstName, reactivateUrl, expiresHours }) => buildEmail({
+  subject: 'Reactivate your account',
+  greeting: `Hi ${firstName || 'there'},`,
+  lines: [
+    'We received a request to reactivate your account.',
+    `This link expires in ${expiresHours} hours and can only be used once. If you did not ask to reactivate your account, you can ignore this email.`
+  ],
+  actionText: 'Reactivate account',
+  actionUrl: reactivateUrl
+});
+
+/**
+ * Email with a link to download a personal data export
+ * @param {Object} params - { firstName, downloadUrl, expiresHours }
+ * @returns {Object} - { subject, text, html }
+ */
+const dataExportReadyEmail = ({ firstName, downloadUrl, expiresHours }) => buildEmail({
+  subject: 'Your data export is ready',
+  greeting: `Hi ${firstName || 'there'},`,
+  lines: [
+    'The copy of your personal data you asked for is ready to download.',
+    `This link expires in ${expiresHours} hours and can only be used once.`
+  ],
+  actionText: 'Download your data',
+  actionUrl: downloadUrl
+});
+
+/**
+ * Email confirming that an account is scheduled for deletion
+ * @param {Object} params - { firstName, deletionDate: formatted date, loginUrl }
+ * @returns {Object} - { subject, text, html }
+ */
+const accountDeletionEmail = ({ firstName, deletionDate, loginUrl }) => buildEmail({
+  subject: 'Your account is scheduled for deletion',
+  greeting: `Hi ${firstName || 'there'},`,
+  lines: [
+    `As you asked, your account and personal data will be deleted on ${deletionDate}. You have been signed out on all devices.`,
+    'Changed your mind? Log in before then and the deletion will be cancelled. If you did not ask to delete your account, log in and change your password.'
+  ],
+  actionText: 'Log in',
+  actionUrl: loginUrl
+});
+
+module.exports = {
+  escapeHtml,
+  verificationEmail,
+  passwordResetEmail,
+  accountInviteEmail,
+  invitationEmail,
+  reactivationEmail,
+  dataExportReadyEmail,
+  accountDeletionEmail
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// AES-256-GCM encryption for secrets that must be readable again later
+// (e.g. TOTP secrets). Uses ENCRYPTION_KEY, falling back to a key derived
+// from JWT_SECRET.
+
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY or JWT_SECRET must be configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} - "iv.authTag.ciphertext" (base64 parts)
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a string produced by encrypt()
+ * @param {string} payload - Encrypted value
+ * @returns {string} - Decrypted plaintext
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
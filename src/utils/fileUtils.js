@@ -46,6 +46,15 @@ const getUploadsDir = () => {
   return path.join(__dirname, '..', '..', 'uploads');
 };
 
+/**
+ * Get the directory personal data export archives are written to
+ * (a subdirectory, so the uploads cleanup leaves the archives alone)
+ * @returns {string} - Path to the data exports directory
+ */
+const getDataExportsDir = () => {
+  return path.join(getUploadsDir(), 'data-exports');
+};
+
 /**
  * Clean up old files in uploads directory (older than 1 hour)
  * @returns {number} - Number of files deleted
@@ -87,5 +96,6 @@ module.exports = {
   safeDeleteFile,
   ensureDirectoryExists,
   getUploadsDir,
+  getDataExportsDir,
   cleanupOldFiles
 };
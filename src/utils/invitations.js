@@ -0,0 +1,153 @@
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const { sendInvitationEmail } = require('./accountEmails');
+const { applyNewPassword } = require('./passwordPolicy');
+const { hasPermission } = require('./permissions');
+const { authConfig } = require('../config/auth');
+const { userStatSnapshot, emitUserChanged } = require('./userEvents');
+
+// Admin invitations. An invited user is created straight away as a pending
+// account with an unusable password and the 'user' role. Only the emailed
+// link sets up the account and grants the invited role, as following it
+// proves the invitee owns the email address - signing up or asking for a
+// password reset with that address sends the link again instead.
+
+// Fields shown in invitation listings
+const INVITE_FIELDS = 'firstName lastName email isActive invitation createdAt';
+
+/**
+ * Query matching pending invitations
+ * @returns {Object} - MongoDB filter
+ */
+const pendingInvitationFilter = () => ({ 'invitation.status': 'pending' });
+
+/**
+ * Check if a user is a pending invitee who has not set up their account yet
+ * @param {Object} user - User document
+ * @returns {boolean} - True if the invitation is pending
+ */
+const isPendingInvitation = (user) => Boolean(
+  user && !user.deletedAt && user.invitation && user.invitation.status === 'pending'
+);
+
+/**
+ * Check if a staff member may invite users with a role (and manage those invitations)
+ * @param {Object} staff - Logged in user
+ * @param {string} role - Invited role
+ * @returns {Promise<boolean>} - True if allowed
+ */
+const canInviteRole = async (staff, role) => {
+  if (!role || role === 'user') return true;
+  if (!(await hasPermission(staff, 'users:role'))) return false;
+  return role !== 'admin' || hasPermission(staff, 'admins:manage');
+};
+
+/**
+ * Shape a pending invitee for invitation listings
+ * @param {Object} user - User document
+ * @returns {Object} - Serialized invitation
+ */
+const serializeInvite = (user) => {
+  const invitation = user.invitation || {};
+  const expired = invitation.status === 'pending'
+    && Boolean(invitation.expiresAt) && invitation.expiresAt <= new Date();
+
+  return {
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: invitation.role,
+    status: expired ? 'expired' : invitation.status,
+    invitedBy: invitation.invitedBy,
+    invitedByEmail: invitation.invitedByEmail,
+    invitedAt: invitation.invitedAt,
+    lastSentAt: invitation.lastSentAt,
+    sendCount: invitation.sendCount,
+    expiresAt: invitation.expiresAt,
+    acceptedAt: invitation.acceptedAt
+  };
+};
+
+/**
+ * Email a fresh invitation link, replacing any earlier link
+ * @param {Object} user - Pending invitee (User document)
+ * @param {Object|null} inviter - Staff member sending the invitation
+ * @returns {Promise<Object>} - Result of sendEmail()
+ */
+const sendInvitation = async (user, inviter = null) => {
+  await UserToken.deleteMany({ user: user._id, purpose: 'invite' });
+
+  const sentAt = new Date();
+  const emailResult = await sendInvitationEmail(user, inviter);
+
+  user.invitation.lastSentAt = sentAt;
+  user.invitation.sendCount = (user.invitation.sendCount || 0) + 1;
+  user.invitation.expiresAt = new Date(sentAt.getTime() + authConfig.invitationExpiresHours * 60 * 60 * 1000);
+  await user.save();
+
+  return emailResult;
+};
+
+/**
+ * Seconds until another invitation email may be sent to a user
+ * @param {Object} user - Pending invitee
+ * @returns {number} - 0 if an email can be sent now
+ */
+const getInvitationResendWait = (user) => {
+  const lastSentAt = user.invitation && user.invitation.lastSentAt;
+  if (!lastSentAt) return 0;
+  const readyAt = lastSentAt.getTime() + authConfig.invitationResendCooldownSeconds * 1000;
+  return Math.max(0, Math.ceil((readyAt - Date.now()) / 1000));
+};
+
+/**
+ * Turn a pending invitation into a working account with the invited role.
+ * Only for invitees who followed the emailed link.
+ * @param {Object} user - Pending invitee (User document)
+ * @param {Object} params - { password: plaintext (already validated), profile: fields to set }
+ * @returns {Promise<Object>} - The updated user
+ */
+const completeInvitation = async (user, { password, profile = {} }) => {
+  const before = userStatSnapshot(user);
+
+  Object.entries(profile).forEach(([field, value]) => {
+    if (value !== undefined) {
+      user.set(field, value);
+    }
+  });
+  await applyNewPassword(user, password);
+
+  user.invitation.status = 'accepted';
+  user.invitation.acceptedAt = new Date();
+  user.isVerified = true;
+  if (user.invitation.role) {
+    user.role = user.invitation.role;
+  }
+  await user.save();
+
+  // Earlier invitation links stop working once the account is set up
+  await UserToken.deleteMany({ user: user._id, purpose: 'invite' });
+  emitUserChanged(before, user);
+
+  return user;
+};
+
+/**
+ * Find a pending invitee by user ID
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} - User document, or null
+ */
+const findPendingInvite = (id) => User.findOne({ _id: id, ...pendingInvitationFilter() });
+
+module.exports = {
+  INVITE_FIELDS,
+  pendingInvitationFilter,
+  isPendingInvitation,
+  canInviteRole,
+  serializeInvite,
+  sendInvitation,
+  getInvitationResendWait,
+  completeInvitation,
+  findPendingInvite
+};
@@ -0,0 +1,212 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const { issueTokens, generateMfaToken, getClientInfo } = require('./tokenUtils');
+const { isTwoFactorSetupRequired } = require('./twoFactor');
+const { emitUserLogin } = require('./userEvents');
+const { isSuspended, isSuspensionExpired, liftSuspension, suspendedErrorBody } = require('./suspensions');
+const { canSelfReactivate, reactivateOwnAccount } = require('./deactivation');
+const { cancelAccountDeletion } = require('./userDeletion');
+const { recordAudit } = require('./auditLog');
+const { authConfig } = require('../config/auth');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  sendThrottledResponse
+} = require('./loginThrottle');
+
+// Password login steps shared by the user login and admin login endpoints
+
+/**
+ * Check email and password for a login attempt, applying brute-force limits
+ * @param {Object} params - { email, password, req, allowedRoles,
+ *   reactivate: reactivate a self-deactivated account (the user confirmed it) }
+ * @returns {Promise<Object>} - { user, reactivate } on success (reactivate: the
+ *   account is reactivated when the login completes), otherwise
+ *   { error: 'throttled', attemptCheck } | { error: 'invalid_credentials' } |
+ *   { error: 'suspended', user } | { error: 'deactivated' } | { error: 'inactive' } |
+ *   { error: 'email_not_verified' }
+ */
+const authenticatePassword = async ({ email, password, req, allowedRoles = null, reactivate = false }) => {
+  // Reject while the account or IP is locked out or cooling down
+  const attemptCheck = await checkLoginAllowed({ email, ip: req.ip });
+  if (!attemptCheck.allowed) {
+    return { error: 'throttled', attemptCheck };
+  }
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() }).select('+password');
+
+  // Check password (and role, for restricted logins)
+  const isPasswordValid = user && typeof password === 'string'
+    ? await bcrypt.compare(password, user.password)
+    : false;
+  if (!isPasswordValid || (allowedRoles && !allowedRoles.includes(user.role))) {
+    await recordLoginFailure({ email, ip: req.ip });
+    return { error: 'invalid_credentials' };
+  }
+
+  // Lift a suspension that has run out before the expiry job got to it
+  if (isSuspensionExpired(user)) {
+    await liftSuspension(user, { reason: 'expired' });
+  }
+
+  if (isSuspended(user)) {
+    return { error: 'suspended', user };
+  }
+
+  // Check if user is active. Users who deactivated their own account must
+  // confirm that they want it back.
+  if (!user.isActive) {
+    if (!canSelfReactivate(user)) {
+      return { error: 'inactive' };
+    }
+    if (!reactivate) {
+      return { error: 'deactivated' };
+    }
+  }
+
+  // Check if email is verified
+  if (authConfig.requireEmailVerification && !user.isVerified) {
+    return { error: 'email_not_verified' };
+  }
+
+  return { user, reactivate: !user.isActive };
+};
+
+// Store a login for activity analytics; a failure here never blocks the login
+const recordLoginEvent = async (user, req) => {
+  try {
+    await LoginEvent.create({
+      user: user._id,
+      signedUpAt: user.createdAt,
+      ...getClientInfo(req)
+    });
+  } catch (error) {
+    console.error('Record login event error:', error);
+  }
+};
+
+/**
+ * Record the login, start a session and build the login response data.
+ * Logging in cancels a pending deletion of the account.
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { user, token, refreshToken, twoFactorSetupRequired, deletionCancelled }
+ */
+const completeLogin = async (user, req) => {
+  // Clear failed attempts
+  await recordLoginSuccess({ email: user.email });
+
+  // Update last login
+  const previousLoginAt = user.lastLoginAt;
+  user.lastLoginAt = new Date();
+  const deletionCancelled = cancelAccountDeletion(user);
+  await user.save();
+  await recordLoginEvent(user, req);
+  emitUserLogin(user, previousLoginAt);
+
+  if (deletionCancelled) {
+    await recordAudit(req, {
+      action: 'user.deletion_cancel',
+      targetIds: [user._id],
+      metadata: { cancelledBy: 'login' }
+    });
+  }
+
+  // Start a session and issue tokens
+  const { token, refreshToken } = await issueTokens({ userId: user._id }, req);
+
+  // Return user data (without password) and tokens
+  return {
+    user: user.getPublicProfile(),
+    token,
+    refreshToken,
+    twoFactorSetupRequired: await isTwoFactorSetupRequired(user),
+    deletionCancelled
+  };
+};
+
+/**
+ * Send the error response for a failed authenticatePassword() result
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of authenticatePassword()
+ */
+const sendLoginError = (res, result) => {
+  switch (result.error) {
+    case 'throttled':
+      return sendThrottledResponse(res, result.attemptCheck);
+
+    case 'suspended':
+      return res.status(403).json(suspendedErrorBody(result.user));
+
+    case 'deactivated':
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_DEACTIVATED',
+        message: 'You deactivated this account. Log in again with reactivate set to true, or request a reactivation email, to reactivate it.'
+      });
+
+    case 'inactive':
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.'
+      });
+
+    case 'email_not_verified':
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before logging in'
+      });
+
+    default:
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+  }
+};
+
+/**
+ * Finish a successful password login: ask for a two-factor code if the
+ * user has 2FA enabled, otherwise start a session
+ * @param {Object} user - Authenticated user document
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} message - Success message
+ * @param {Object} options - { reactivate: reactivate the user's deactivated account }
+ */
+const finishPasswordLogin = async (user, req, res, message, { reactivate = false } = {}) => {
+  // Two-factor users get an "mfa pending" token instead of a session;
+  // reactivation waits for their code
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user._id, { reactivate })
+      }
+    });
+  }
+
+  if (reactivate) {
+    await reactivateOwnAccount(user);
+  }
+
+  const loginData = await completeLogin(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: reactivate ? 'Account reactivated successfully' : message,
+    data: loginData
+  });
+};
+
+module.exports = {
+  authenticatePassword,
+  completeLogin,
+  sendLoginError,
+  finishPasswordLogin
+};
@@ -0,0 +1,260 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const { authConfig } = require('../config/auth');
+
+// Failed login tracking per account and per IP address.
+//
+// Counters live in a store: an object with async get(key),
+// recordFailure(key, options), update(key, fields) and reset(key).
+// Pick one with LOGIN_ATTEMPT_STORE (memory or mongo), or plug in a
+// custom one with setAttemptStore().
+
+/**
+ * In-process store (counters are lost on restart and not shared between instances)
+ * @returns {Object} - Attempt store
+ */
+const createMemoryAttemptStore = () => {
+  const records = new Map();
+
+  const getRecord = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => getRecord(key),
+    recordFailure: async (key, { now, windowStart, expiresAt }) => {
+      const record = getRecord(key);
+      const isNewWindow = !record || !record.firstFailureAt || record.firstFailureAt < windowStart;
+      const updated = {
+        ...(record || {}),
+        failures: isNewWindow ? 1 : record.failures + 1,
+        firstFailureAt: isNewWindow ? now : record.firstFailureAt,
+        lastFailureAt: now,
+        expiresAt
+      };
+      records.set(key, updated);
+      return updated;
+    },
+    update: async (key, fields) => {
+      const record = getRecord(key);
+      if (record) {
+        records.set(key, { ...record, ...fields });
+      }
+    },
+    reset: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+/**
+ * MongoDB store (counters are shared between instances)
+ * @returns {Object} - Attempt store
+ */
+const createMongoAttemptStore = () => ({
+  name: 'mongo',
+  get: async (key) => {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  },
+  recordFailure: async (key, { now, windowStart, expiresAt }) => {
+    // Pipeline update so the window reset and increment happen atomically
+    const isNewWindow = { $lt: [{ $ifNull: ['$firstFailureAt', null] }, windowStart] };
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          failures: { $cond: [isNewWindow, 1, { $add: [{ $ifNull: ['$failures', 0] }, 1] }] },
+          firstFailureAt: { $cond: [isNewWindow, now, '$firstFailureAt'] },
+          lastFailureAt: now,
+          expiresAt
+        }
+      }],
+      { new: true, upsert: true }
+    ).lean();
+  },
+  update: async (key, fields) => {
+    await LoginAttempt.updateOne({ key }, fields);
+  },
+  reset: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  }
+});
+
+const storeFactories = {
+  memory: createMemoryAttemptStore,
+  mongo: createMongoAttemptStore
+};
+
+let activeStore = null;
+
+/**
+ * Get the configured attempt store
+ * @returns {Object} - Attempt store
+ */
+const getAttemptStore = () => {
+  if (!activeStore) {
+    const factory = storeFactories[authConfig.loginAttemptStore];
+    if (!factory) {
+      throw new Error(`Unknown login attempt store: ${authConfig.loginAttemptStore}`);
+    }
+    activeStore = factory();
+  }
+  return activeStore;
+};
+
+/**
+ * Replace the attempt store
+ * @param {Object} store - Attempt store implementation
+ */
+const setAttemptStore = (store) => {
+  activeStore = store;
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+// Seconds until a record allows another attempt (0 if allowed now)
+const getWaitSeconds = (record, now) => {
+  if (!record) return { seconds: 0 };
+  if (record.lockedUntil && record.lockedUntil > now) {
+    return { seconds: Math.ceil((record.lockedUntil - now) / 1000), locked: true };
+  }
+  if (record.nextAttemptAt && record.nextAttemptAt > now) {
+    return { seconds: Math.ceil((record.nextAttemptAt - now) / 1000), locked: false };
+  }
+  return { seconds: 0 };
+};
+
+/**
+ * Check whether a login attempt may be made right now
+ * @param {Object} params - { email, ip }
+ * @returns {Promise<Object>} - { allowed, locked, retryAfterSeconds }
+ */
+const checkLoginAllowed = async ({ email, ip }) => {
+  const store = getAttemptStore();
+  const now = new Date();
+  const [accountRecord, ipRecord] = await Promise.all([
+    email ? store.get(accountKey(email)) : null,
+    store.get(ipKey(ip))
+  ]);
+
+  const accountWait = getWaitSeconds(accountRecord, now);
+  const ipWait = getWaitSeconds(ipRecord, now);
+  const retryAfterSeconds = Math.max(accountWait.seconds, ipWait.seconds);
+
+  return {
+    allowed: retryAfterSeconds === 0,
+    locked: Boolean(accountWait.locked || ipWait.locked),
+    retryAfterSeconds
+  };
+};
+
+// Record a failure for one key and apply the delay or lockout
+const registerFailure = async (key, maxAttempts) => {
+  const store = getAttemptStore();
+  const now = new Date();
+  const windowMs = authConfig.loginAttemptWindowMinutes * 60 * 1000;
+  const lockoutMs = authConfig.loginLockoutMinutes * 60 * 1000;
+
+  const record = await store.recordFailure(key, {
+    now,
+    windowStart: new Date(now.getTime() - windowMs),
+    expiresAt: new Date(now.getTime() + Math.max(windowMs, lockoutMs))
+  });
+
+  if (record.failures >= maxAttempts) {
+    await store.update(key, {
+      lockedUntil: new Date(now.getTime() + lockoutMs),
+      nextAttemptAt: null
+    });
+    return;
+  }
+
+  const delaySeconds = Math.min(
+    authConfig.loginDelayBaseSeconds * 2 ** (record.failures - 1),
+    authConfig.loginDelayMaxSeconds
+  );
+  await store.update(key, {
+    nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000)
+  });
+};
+
+/**
+ * Record a failed login attempt
+ * @param {Object} params - { email, ip }
+ */
+const recordLoginFailure = async ({ email, ip }) => {
+  const tasks = [registerFailure(ipKey(ip), authConfig.loginMaxAttemptsPerIp)];
+  if (email) {
+    tasks.push(registerFailure(accountKey(email), authConfig.loginMaxAttemptsPerAccount));
+  }
+  await Promise.all(tasks);
+};
+
+/**
+ * Clear the failure counter for an account after a successful login
+ * @param {Object} params - { email }
+ */
+const recordLoginSuccess = async ({ email }) => {
+  await getAttemptStore().reset(accountKey(email));
+};
+
+/**
+ * Get the lockout state of an account
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} - { locked, lockedUntil, failedAttempts }
+ */
+const getAccountLockout = async (email) => {
+  const record = await getAttemptStore().get(accountKey(email));
+  const now = new Date();
+  const locked = Boolean(record && record.lockedUntil && record.lockedUntil > now);
+
+  return {
+    locked,
+    lockedUntil: locked ? record.lockedUntil : null,
+    failedAttempts: record ? record.failures : 0
+  };
+};
+
+/**
+ * Remove a lockout and reset the failure counter for an account
+ * @param {string} email - Account email
+ */
+const unlockAccount = async (email) => {
+  await getAttemptStore().reset(accountKey(email));
+};
+
+/**
+ * Send the standard "too many attempts" response
+ * @param {Object} res - Express response
+ * @param {Object} check - Result of checkLoginAllowed()
+ */
+const sendThrottledResponse = (res, check) => {
+  res.set('Retry-After', String(check.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    code: check.locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    message: check.locked
+      ? 'Too many failed login attempts. Please try again later.'
+      : 'Please wait before trying again.',
+    retryAfter: check.retryAfterSeconds
+  });
+};
+
+module.exports = {
+  createMemoryAttemptStore,
+  createMongoAttemptStore,
+  getAttemptStore,
+  setAttemptStore,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getAccountLockout,
+  unlockAccount,
+  sendThrottledResponse
+};
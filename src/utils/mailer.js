@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { ensureDirectoryExists } = require('./fileUtils');
+const { mailConfig } = require('../config/mail');
+
+// A transport is an object with an async send(message) method.
+// Select one with MAIL_TRANSPORT (console, file or smtp - see config/mail),
+// or plug in a custom one with setTransport().
+
+/**
+ * Transport that prints emails to the console (default in development)
+ * @returns {Object} - Mail transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 Email to %s: %s\n%s', message.to, message.subject, message.text);
+    return { accepted: [message.to] };
+  }
+});
+
+/**
+ * Transport that writes each email as a JSON file (useful in tests)
+ * @param {string} outboxDir - Directory to write emails to
+ * @returns {Object} - Mail transport
+ */
+const createFileTransport = (outboxDir = mailConfig.outboxDir) => ({
+  name: 'file',
+  outboxDir,
+  send: async (message) => {
+    ensureDirectoryExists(outboxDir);
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    const filePath = path.join(outboxDir, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { accepted: [message.to], filePath };
+  }
+});
+
+/**
+ * Transport that delivers emails through an SMTP server
+ * @returns {Object} - Mail transport
+ */
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const { host, port, secure, user, pass } = mailConfig.smtp;
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Get the configured mail transport. Throws if none is configured in
+ * production, where the console transport would log account links.
+ * @returns {Object} - Mail transport
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    if (!mailConfig.transport && process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT must be set in production (smtp or file)');
+    }
+    const name = mailConfig.transport || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the mail transport (e.g. with a stub in tests)
+ * @param {Object} transport - Object with an async send(message) method
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - { success, info } or { success: false, error }
+ */
+const sendEmail = async (message) => {
+  try {
+    const info = await getTransport().send({
+      from: mailConfig.from,
+      ...message
+    });
+    return { success: true, info };
+  } catch (error) {
+    console.error('Send email error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  getTransport,
+  setTransport,
+  sendEmail
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { intFromEnv } = require('../config/auth');
+const commonPasswords = require('../config/commonPasswords');
+
+const boolFromEnv = (name, fallback) => {
+  if (process.env[name] === undefined) return fallback;
+  return process.env[name] === 'true';
+};
+
+// Password rules, configurable through environment variables
+const passwordPolicy = {
+  minLength: intFromEnv('PASSWORD_MIN_LENGTH', 8),
+  maxLength: intFromEnv('PASSWORD_MAX_LENGTH', 128),
+  requireUppercase: boolFromEnv('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: boolFromEnv('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: boolFromEnv('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: boolFromEnv('PASSWORD_REQUIRE_SYMBOL', false),
+  // Number of previous passwords that cannot be reused
+  historyCount: intFromEnv('PASSWORD_HISTORY_COUNT', 5)
+};
+
+const blocklist = new Set(
+  commonPasswords
+    .concat((process.env.PASSWORD_BLOCKLIST || '').split(','))
+    .map(password => password.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+/**
+ * Check a password against the policy rules
+ * @param {string} password - Plaintext password
+ * @param {Object} userInfo - Optional { email, firstName, lastName } to reject passwords containing them
+ * @returns {string[]} - List of policy violations (empty if valid)
+ */
+const validatePassword = (password, userInfo = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < passwordPolicy.minLength) {
+    errors.push(`Password must be at least ${passwordPolicy.minLength} characters`);
+  }
+  if (password.length > passwordPolicy.maxLength) {
+    errors.push(`Password cannot exceed ${passwordPolicy.maxLength} characters`);
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+  if (passwordPolicy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain at least one special character');
+  }
+  if (blocklist.has(password.toLowerCase())) {
+    errors.push('This password is too common. Please choose a different one');
+  }
+
+  // Reject passwords built from the user's own details (non-string values
+  // from a malformed request are left to the caller's validation)
+  const lowerPassword = password.toLowerCase();
+  const emailName = typeof userInfo.email === 'string' ? userInfo.email.split('@')[0] : null;
+  const personalValues = [emailName, userInfo.firstName, userInfo.lastName]
+    .filter(value => typeof value === 'string' && value.length >= 3)
+    .map(value => value.toLowerCase());
+  if (personalValues.some(value => lowerPassword.includes(value))) {
+    errors.push('Password cannot contain your name or email');
+  }
+
+  return errors;
+};
+
+/**
+ * Check whether a password matches the user's current or recent passwords
+ * @param {string} password - Plaintext password
+ * @param {Object} user - User document with password and passwordHistory selected
+ * @returns {Promise<boolean>} - True if the password was used recently
+ */
+const isPasswordReused = async (password, user) => {
+  const recentHashes = [user.password]
+    .concat((user.passwordHistory || []).map(entry => entry.hash))
+    .filter(Boolean)
+    .slice(0, passwordPolicy.historyCount + 1);
+
+  for (const hash of recentHashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Hash a password
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Build a stored password value that no password can match, for accounts
+ * that get their first password through an emailed link
+ * @returns {string} - Unusable password value (not a valid bcrypt hash)
+ */
+const UNUSABLE_PASSWORD_PREFIX = '!unset:';
+const generateUnusablePassword = () => `${UNUSABLE_PASSWORD_PREFIX}${crypto.randomBytes(16).toString('hex')}`;
+
+/**
+ * Set a new password on a user, keeping the previous hash in the history.
+ * The caller is responsible for saving the user.
+ * @param {Object} user - User document with password and passwordHistory selected
+ * @param {string} password - New plaintext password (already validated)
+ * @returns {Promise<Object>} - The updated user document
+ */
+const applyNewPassword = async (user, password) => {
+  const hadPassword = user.password && !user.password.startsWith(UNUSABLE_PASSWORD_PREFIX);
+  if (hadPassword && passwordPolicy.historyCount > 0) {
+    user.passwordHistory = [{ hash: user.password, changedAt: new Date() }]
+      .concat(user.passwordHistory || [])
+      .slice(0, passwordPolicy.historyCount);
+  }
+
+  user.password = await hashPassword(password);
+  user.passwordChangedAt = new Date();
+  return user;
+};
+
+module.exports = {
+  passwordPolicy,
+  validatePassword,
+  isPasswordReused,
+  hashPassword,
+  generateUnusablePassword,
+  applyNewPassword
+};
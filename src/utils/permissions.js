@@ -0,0 +1,107 @@
+const Role = require('../models/Role');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+// Role permissions are read on every admin request, so keep them
+// in memory for a short time
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} roleName - Role name
+ * @returns {Promise<string[]>} - Permission names
+ */
+const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const permissions = role ? role.permissions : (DEFAULT_ROLE_PERMISSIONS[roleName] || []);
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Check if a user has every one of the given permissions
+ * @param {Object} user - User document
+ * @param {...string} permissions - Permission names
+ * @returns {Promise<boolean>} - True if all permissions are granted
+ */
+const hasPermission = async (user, ...permissions) => {
+  if (!user) return false;
+  const granted = await getRolePermissions(user.role);
+  return permissions.every(permission => granted.includes(permission));
+};
+
+/**
+ * Check if a user may act on another account. Admin accounts can only be
+ * changed by users holding admins:manage, whatever the route permission.
+ * @param {Object} actor - User performing the action
+ * @param {Object} target - User being acted on
+ * @returns {Promise<boolean>} - True if the action is allowed
+ */
+const canManageUser = async (actor, target) => {
+  if (target.role !== 'admin') return true;
+  return hasPermission(actor, 'admins:manage');
+};
+
+/**
+ * Forget cached permissions (call after a role is edited)
+ * @param {string} roleName - Role to forget, or all roles if omitted
+ */
+const clearPermissionCache = (roleName) => {
+  if (roleName) {
+    cache.delete(roleName);
+  } else {
+    cache.clear();
+  }
+};
+
+/**
+ * Store the default role permissions for roles that are not in the database
+ * yet, and grant default permissions that were added since a role was stored
+ * @returns {Promise<void>}
+ */
+const ensureDefaultRoles = async () => {
+  try {
+    const allPermissions = Object.keys(PERMISSIONS);
+
+    await Promise.all(Object.entries(DEFAULT_ROLE_PERMISSIONS).map(async ([name, permissions]) => {
+      const role = await Role.findOne({ name });
+      if (!role) {
+        await Role.updateOne(
+          { name },
+          { $setOnInsert: { name, permissions, knownPermissions: allPermissions } },
+          { upsert: true }
+        );
+        return;
+      }
+
+      const known = role.knownPermissions || [];
+      const newPermissions = allPermissions.filter(permission => !known.includes(permission));
+      if (newPermissions.length === 0) return;
+
+      await Role.updateOne(
+        { name },
+        {
+          $addToSet: { permissions: { $each: permissions.filter(permission => newPermissions.includes(permission)) } },
+          $set: { knownPermissions: allPermissions }
+        }
+      );
+    }));
+    clearPermissionCache();
+  } catch (error) {
+    console.error('Default roles setup error:', error);
+  }
+};
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  canManageUser,
+  clearPermissionCache,
+  ensureDefaultRoles
+};
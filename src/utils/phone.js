@@ -0,0 +1,31 @@
+// Phone number rules shared by signup, profile edits and imports
+
+// E.164: + followed by up to 15 digits, not starting with 0
+const PHONE_NUMBER_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * Normalize and validate a phone number with country code
+ * @param {string} phoneNumber - Phone number as entered
+ * @returns {Object} - { phoneNumber } with the cleaned number, or { error }
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  // Remove any spaces or special characters except + and digits
+  const processed = String(phoneNumber).replace(/[^\d+]/g, '');
+
+  // Ensure it starts with +
+  if (!processed.startsWith('+')) {
+    return { error: 'Phone number must start with country code (e.g., +91 for India)' };
+  }
+
+  // Validate phone number format
+  if (!PHONE_NUMBER_PATTERN.test(processed)) {
+    return { error: 'Invalid phone number format. Please include country code (e.g., +911234567890)' };
+  }
+
+  return { phoneNumber: processed };
+};
+
+module.exports = {
+  PHONE_NUMBER_PATTERN,
+  normalizePhoneNumber
+};
@@ -0,0 +1,27 @@
+const { once } = require('events');
+
+/**
+ * Write a chunk to a streamed response, waiting while its buffer is full.
+ * Also stops waiting when the client goes away, as 'drain' then never fires.
+ * @param {Object} res - Express response
+ * @param {string|Buffer} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+const writeToResponse = async (res, chunk) => {
+  if (res.write(chunk) || res.destroyed) return;
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: controller.signal }),
+      once(res, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    // Remove the listener of whichever event did not fire
+    controller.abort();
+  }
+};
+
+module.exports = {
+  writeToResponse
+};
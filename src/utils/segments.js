@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Segment = require('../models/Segment');
+const { FILTER_PARAMS, buildUserFilter } = require('./userFilters');
+const { hasPermission } = require('./permissions');
+
+// Saved user segments: named user list filters that can be shared between
+// staff and used wherever the user list filters are accepted
+
+/**
+ * Validate and clean a segment definition
+ * @param {Object} filters - User list query parameters
+ * @returns {Object} - { filters, errors }
+ */
+const normalizeSegmentFilters = (filters) => {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { filters: {}, errors: ['filters must be an object of user list filters'] };
+  }
+
+  const errors = [];
+  const normalized = {};
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!FILTER_PARAMS.includes(key)) {
+      errors.push(`Unknown filter: ${key}. Supported filters: ${FILTER_PARAMS.join(', ')}`);
+      return;
+    }
+    if (value === null || value === undefined || value === '') return;
+
+    if (Array.isArray(value)) {
+      normalized[key] = value.map(String).join(',');
+    } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+      normalized[key] = String(value);
+    } else {
+      errors.push(`${key} must be a string, number, boolean or list`);
+    }
+  });
+
+  // Same validation as the user list
+  errors.push(...buildUserFilter(normalized).errors);
+
+  return { filters: normalized, errors };
+};
+
+/**
+ * Query matching the segments a staff member can see (their own and shared ones)
+ * @param {Object} user - Logged in user
+ * @returns {Object} - MongoDB filter
+ */
+const visibleSegmentsFilter = (user) => ({
+  $or: [{ shared: true }, { createdBy: user._id }]
+});
+
+/**
+ * Find a segment the user can see
+ * @param {string} id - Segment ID
+ * @param {Object} user - Logged in user
+ * @returns {Promise<Object|null>} - Segment document, or null
+ */
+const findVisibleSegment = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Segment.findOne({ $and: [{ _id: id }, visibleSegmentsFilter(user)] });
+};
+
+/**
+ * Check if a user may edit or delete a segment (its creator, or admins:manage)
+ * @param {Object} user - Logged in user
+ * @param {Object} segment - Segment document
+ * @returns {Promise<boolean>} - True if allowed
+ */
+const canEditSegment = async (user, segment) => {
+  if (segment.createdBy.equals(user._id)) return true;
+  return hasPermission(user, 'admins:manage');
+};
+
+/**
+ * Count the users currently in a segment
+ * @param {Object} segment - Segment document
+ * @returns {Promise<number>} - Member count
+ */
+const countSegmentMembers = (segment) => User.countDocuments(buildUserFilter(segment.filters).filter);
+
+/**
+ * Build a user filter from query parameters, narrowed to a saved segment
+ * when a segment ID is given
+ * @param {Object} query - User list query parameters, optionally with segment
+ * @param {Object} user - Logged in user (segments must be visible to them)
+ * @returns {Promise<Object>} - { filter, errors, segment }
+ */
+const buildSegmentedUserFilter = async (query, user) => {
+  const { filter, errors } = buildUserFilter(query);
+  if (!query.segment) {
+    return { filter, errors, segment: null };
+  }
+
+  const segment = await findVisibleSegment(query.segment, user);
+  if (!segment) {
+    return { filter, errors: [...errors, 'segment not found'], segment: null };
+  }
+
+  const { filter: segmentFilter, errors: segmentErrors } = buildUserFilter(segment.filters);
+  const conditions = [segmentFilter, filter].filter(part => Object.keys(part).length > 0);
+
+  return {
+    filter: conditions.length === 0 ? {} : { $and: conditions },
+    errors: [...errors, ...segmentErrors.map(error => `segment: ${error}`)],
+    segment
+  };
+};
+
+module.exports = {
+  normalizeSegmentFilters,
+  visibleSegmentsFilter,
+  findVisibleSegment,
+  canEditSegment,
+  countSegmentMembers,
+  buildSegmentedUserFilter
+};
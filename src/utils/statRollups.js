@@ -0,0 +1,273 @@
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const DailyStat = require('../models/DailyStat');
+const UserStatTotals = require('../models/UserStatTotals');
+const { analyticsConfig } = require('../config/analytics');
+const { userEvents } = require('./userEvents');
+const {
+  normalizeTimezone,
+  getZonedParts,
+  startOfZonedDay,
+  parseDay,
+  addDays,
+  formatDay,
+  getZonedToday
+} = require('./timezone');
+
+// Precomputed user statistics. Lifecycle events adjust the counters as
+// accounts change; the reconciliation job recalculates the current totals
+// and the most recent days from the source collections, which corrects any
+// drift (changes made outside the app, events lost on a crash, or an
+// increment racing with a rebuild).
+
+const TOTALS_KEY = 'users';
+
+/**
+ * Get the time zone daily rollups are built in
+ * @returns {string} - IANA time zone name
+ */
+const getRollupTimezone = () => normalizeTimezone(analyticsConfig.defaultTimezone) || 'UTC';
+
+/**
+ * Turn a gender or country into a counter key (Map keys cannot contain "." or "$")
+ * @param {string|null} value - Field value
+ * @returns {string} - Counter key, "Unknown" when empty
+ */
+const statKey = (value) => (value === null || value === undefined ? '' : String(value))
+  .trim()
+  .replace(/[.$]/g, '_') || 'Unknown';
+
+// Calendar day of an instant in the rollup time zone
+const rollupDay = (date, timezone) => formatDay(getZonedParts(date, timezone));
+
+// Add an increment to an $inc object, dropping it when it cancels out
+const addIncrement = (inc, path, amount) => {
+  inc[path] = (inc[path] || 0) + amount;
+  if (inc[path] === 0) delete inc[path];
+};
+
+// Counter changes for adding (sign 1) or removing (sign -1) one user
+const collectContribution = (snapshot, sign, totalsInc, dailyIncs, timezone) => {
+  addIncrement(totalsInc, 'total', sign);
+  addIncrement(totalsInc, snapshot.isActive ? 'active' : 'inactive', sign);
+  addIncrement(totalsInc, `byRole.${statKey(snapshot.role)}`, sign);
+  addIncrement(totalsInc, `byGender.${statKey(snapshot.gender)}`, sign);
+
+  if (!snapshot.createdAt) return;
+  const day = rollupDay(snapshot.createdAt, timezone);
+  const inc = dailyIncs.get(day) || {};
+  addIncrement(inc, 'signups', sign);
+  addIncrement(inc, `signupsByGender.${statKey(snapshot.gender)}`, sign);
+  addIncrement(inc, `signupsByCountry.${statKey(snapshot.country)}`, sign);
+  dailyIncs.set(day, inc);
+};
+
+// Apply counter changes for users entering and leaving the statistics
+const applyContributions = async ({ added = [], removed = [] }) => {
+  const timezone = getRollupTimezone();
+  const totalsInc = {};
+  const dailyIncs = new Map();
+
+  added.forEach(snapshot => collectContribution(snapshot, 1, totalsInc, dailyIncs, timezone));
+  removed.forEach(snapshot => collectContribution(snapshot, -1, totalsInc, dailyIncs, timezone));
+
+  const updates = [];
+
+  // Totals only exist after the first reconciliation, which counts everyone
+  if (Object.keys(totalsInc).length > 0) {
+    updates.push(UserStatTotals.updateOne({ key: TOTALS_KEY }, { $inc: totalsInc }));
+  }
+  dailyIncs.forEach((inc, day) => {
+    if (Object.keys(inc).length === 0) return;
+    updates.push(DailyStat.updateOne({ timezone, day }, { $inc: inc }, { upsert: true }));
+  });
+
+  await Promise.all(updates);
+};
+
+// Count a login on the day it happened
+const applyLogin = async (snapshot, { at, previousLoginAt }) => {
+  const timezone = getRollupTimezone();
+  const day = rollupDay(at, timezone);
+  const dayStart = startOfZonedDay(parseDay(day), timezone);
+
+  const inc = { logins: 1 };
+  if (!previousLoginAt || previousLoginAt < dayStart) {
+    inc.activeUsers = 1;
+  }
+
+  await DailyStat.updateOne({ timezone, day }, { $inc: inc }, { upsert: true });
+};
+
+// Run a listener without letting its errors escape
+const safely = (name, listener) => (...args) => {
+  listener(...args).catch(error => console.error(`Statistics rollup ${name} error:`, error));
+};
+
+let listenersRegistered = false;
+
+/**
+ * Keep the rollups up to date from user lifecycle events
+ */
+const registerStatRollupListeners = () => {
+  if (listenersRegistered) return;
+  listenersRegistered = true;
+
+  userEvents.on('created', safely('created', snapshot => applyContributions({ added: [snapshot] })));
+  userEvents.on('restored', safely('restored', snapshot => applyContributions({ added: [snapshot] })));
+  userEvents.on('removed', safely('removed', snapshot => applyContributions({ removed: [snapshot] })));
+  userEvents.on('changed', safely('changed', (before, after) => applyContributions({ added: [after], removed: [before] })));
+  userEvents.on('login', safely('login', applyLogin));
+};
+
+/**
+ * Recalculate the daily rollups for a range of days from the source collections
+ * @param {Object} params - { fromDay, toDay } "YYYY-MM-DD" days (inclusive), timezone
+ * @returns {Promise<number>} - Number of days written
+ */
+const rebuildDailyStats = async ({ fromDay, toDay, timezone = getRollupTimezone() }) => {
+  const start = startOfZonedDay(parseDay(fromDay), timezone);
+  const end = startOfZonedDay(addDays(parseDay(toDay), 1), timezone);
+  const dayOf = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field, timezone } });
+
+  const [signupRows, loginRows] = await Promise.all([
+    User.aggregate([
+      { $match: { createdAt: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: { day: dayOf('$createdAt'), gender: '$gender', country: '$address.country' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    LoginEvent.aggregate([
+      { $match: { createdAt: { $gte: start, $lt: end } } },
+      { $group: { _id: { day: dayOf('$createdAt'), user: '$user' }, logins: { $sum: 1 } } },
+      { $group: { _id: '$_id.day', activeUsers: { $sum: 1 }, logins: { $sum: '$logins' } } }
+    ])
+  ]);
+
+  const days = new Map();
+  for (let day = parseDay(fromDay); formatDay(day) <= toDay; day = addDays(day, 1)) {
+    days.set(formatDay(day), { signups: 0, signupsByGender: {}, signupsByCountry: {}, logins: 0, activeUsers: 0 });
+  }
+
+  signupRows.forEach(row => {
+    const stats = days.get(row._id.day);
+    if (!stats) return;
+    const gender = statKey(row._id.gender);
+    const country = statKey(row._id.country);
+    stats.signups += row.count;
+    stats.signupsByGender[gender] = (stats.signupsByGender[gender] || 0) + row.count;
+    stats.signupsByCountry[country] = (stats.signupsByCountry[country] || 0) + row.count;
+  });
+
+  loginRows.forEach(row => {
+    const stats = days.get(row._id);
+    if (!stats) return;
+    stats.logins = row.logins;
+    stats.activeUsers = row.activeUsers;
+  });
+
+  const reconciledAt = new Date();
+  const operations = [...days.entries()].map(([day, stats]) => ({
+    updateOne: {
+      filter: { timezone, day },
+      update: { $set: { ...stats, reconciledAt } },
+      upsert: true
+    }
+  }));
+
+  for (let i = 0; i < operations.length; i += 500) {
+    await DailyStat.bulkWrite(operations.slice(i, i + 500), { ordered: false });
+  }
+  return operations.length;
+};
+
+/**
+ * Recalculate the current user totals
+ * @param {string} timezone - Time zone the daily rollups are built in
+ * @returns {Promise<Object>} - Totals document
+ */
+const rebuildTotals = async (timezone = getRollupTimezone()) => {
+  const rows = await User.aggregate([
+    { $group: { _id: { role: '$role', isActive: '$isActive', gender: '$gender' }, count: { $sum: 1 } } }
+  ]);
+
+  const totals = { total: 0, active: 0, inactive: 0, byRole: {}, byGender: {} };
+  rows.forEach(row => {
+    const role = statKey(row._id.role || 'user');
+    const gender = statKey(row._id.gender);
+    totals.total += row.count;
+    totals[row._id.isActive === false ? 'inactive' : 'active'] += row.count;
+    totals.byRole[role] = (totals.byRole[role] || 0) + row.count;
+    totals.byGender[gender] = (totals.byGender[gender] || 0) + row.count;
+  });
+
+  return UserStatTotals.findOneAndUpdate(
+    { key: TOTALS_KEY },
+    { $set: { ...totals, timezone, reconciledAt: new Date() } },
+    { new: true, upsert: true }
+  ).lean();
+};
+
+/**
+ * Bring the rollups in line with the source collections. The first run (or
+ * a change of rollup time zone) rebuilds every day since the first signup;
+ * later runs rebuild the most recent days only.
+ * @param {Object} options - { full: rebuild every day }
+ * @returns {Promise<Object>} - { full, days }
+ */
+const reconcileStats = async ({ full = false } = {}) => {
+  const timezone = getRollupTimezone();
+  const current = await UserStatTotals.findOne({ key: TOTALS_KEY }).lean();
+  const rebuildAll = full || !current || current.timezone !== timezone;
+
+  const today = getZonedToday(timezone);
+  let fromDay = formatDay(addDays(today, 1 - Math.max(analyticsConfig.statsReconcileDays, 1)));
+
+  if (rebuildAll) {
+    const first = await User.findOne().sort({ createdAt: 1 }).select('createdAt').lean();
+    fromDay = first && first.createdAt ? rollupDay(first.createdAt, timezone) : formatDay(today);
+    await DailyStat.deleteMany({ $or: [{ timezone: { $ne: timezone } }, { day: { $lt: fromDay } }] });
+  }
+
+  const days = await rebuildDailyStats({ fromDay, toDay: formatDay(today), timezone });
+  await rebuildTotals(timezone);
+
+  return { full: rebuildAll, days };
+};
+
+/**
+ * Get the current user totals if the rollups can be used
+ * @returns {Promise<Object|null>} - Totals, or null before the first reconciliation
+ */
+const getStatTotals = async () => {
+  const totals = await UserStatTotals.findOne({ key: TOTALS_KEY }).lean();
+  if (!totals || !totals.reconciledAt || totals.timezone !== getRollupTimezone()) {
+    return null;
+  }
+  return totals;
+};
+
+/**
+ * Read the daily rollups for a range of days
+ * @param {string} fromDay - First "YYYY-MM-DD" day
+ * @param {string} toDay - Last "YYYY-MM-DD" day (inclusive)
+ * @returns {Promise<Object[]>} - Daily stats, oldest first
+ */
+const readDailyStats = (fromDay, toDay) => DailyStat.find({
+  timezone: getRollupTimezone(),
+  day: { $gte: fromDay, $lte: toDay }
+}).sort({ day: 1 }).lean();
+
+module.exports = {
+  getRollupTimezone,
+  statKey,
+  registerStatRollupListeners,
+  rebuildDailyStats,
+  rebuildTotals,
+  reconcileStats,
+  getStatTotals,
+  readDailyStats
+};
@@ -0,0 +1,239 @@
+const Suspension = require('../models/Suspension');
+const { SUSPENSION_REASONS } = require('../config/users');
+const { revokeUserSessions } = require('./tokenUtils');
+const { userStatSnapshot, emitUserChanged } = require('./userEvents');
+const { recordAudit } = require('./auditLog');
+
+// Account suspensions. A suspended user is inactive (isActive: false) with
+// the current suspension copied onto the user; lifting it (by staff, or
+// automatically once endsAt has passed) makes the account active again,
+// unless the user had also deactivated it themselves.
+
+const MAX_SUSPENSION_DAYS = 3650;
+
+/**
+ * Validate suspension details from a request
+ * @param {Object} input - { reason, internalNote, publicMessage, endsAt, durationDays }
+ * @returns {Object} - { details: { reason, internalNote, publicMessage, endsAt }, errors }
+ */
+const parseSuspensionInput = (input = {}) => {
+  const errors = [];
+  const { reason, internalNote, publicMessage, endsAt, durationDays } = input;
+
+  if (!SUSPENSION_REASONS.includes(reason)) {
+    errors.push(`reason must be one of: ${SUSPENSION_REASONS.join(', ')}`);
+  }
+
+  let end = null;
+  if (endsAt !== undefined && endsAt !== null && endsAt !== '' && durationDays !== undefined) {
+    errors.push('Provide either endsAt or durationDays, not both');
+  } else if (endsAt !== undefined && endsAt !== null && endsAt !== '') {
+    end = new Date(endsAt);
+    if (Number.isNaN(end.getTime())) {
+      errors.push('endsAt must be a valid date');
+    } else if (end <= new Date()) {
+      errors.push('endsAt must be in the future');
+    }
+  } else if (durationDays !== undefined && durationDays !== null && durationDays !== '') {
+    const days = Number(durationDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_SUSPENSION_DAYS) {
+      errors.push(`durationDays must be a number from 1 to ${MAX_SUSPENSION_DAYS}`);
+    } else {
+      end = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+  }
+
+  return {
+    details: {
+      reason,
+      internalNote: internalNote || null,
+      publicMessage: publicMessage || null,
+      endsAt: end
+    },
+    errors
+  };
+};
+
+/**
+ * Check if a user currently has a suspension recorded on their account
+ * @param {Object} user - User document
+ * @returns {boolean} - True if suspended (even if the end date has passed)
+ */
+const isSuspended = (user) => Boolean(user && user.suspension && user.suspension.suspensionId);
+
+/**
+ * Check if a user's suspension has an end date that has passed
+ * @param {Object} user - User document
+ * @returns {boolean} - True if the suspension is due to be lifted
+ */
+const isSuspensionExpired = (user) => isSuspended(user)
+  && Boolean(user.suspension.endsAt) && user.suspension.endsAt <= new Date();
+
+/**
+ * Suspend a user and sign them out everywhere
+ * @param {Object} user - User document (must not already be suspended)
+ * @param {Object} details - Result of parseSuspensionInput().details
+ * @param {Object|null} actor - Staff member applying the suspension
+ * @returns {Promise<Object>} - The Suspension record
+ */
+const suspendUser = async (user, details, actor = null) => {
+  if (isSuspended(user)) {
+    throw new Error('User is already suspended');
+  }
+
+  const suspension = await Suspension.create({
+    user: user._id,
+    reason: details.reason,
+    internalNote: details.internalNote,
+    publicMessage: details.publicMessage,
+    endsAt: details.endsAt,
+    suspendedBy: actor ? actor._id : null,
+    suspendedByEmail: actor ? actor.email : null
+  });
+
+  const before = userStatSnapshot(user);
+  user.isActive = false;
+  user.suspension = {
+    suspensionId: suspension._id,
+    reason: suspension.reason,
+    publicMessage: suspension.publicMessage,
+    suspendedAt: suspension.createdAt,
+    endsAt: suspension.endsAt
+  };
+  await user.save();
+  emitUserChanged(before, user);
+
+  await revokeUserSessions(user._id, 'account_suspended');
+  return suspension;
+};
+
+/**
+ * Lift a user's suspension. The account becomes active again unless the
+ * user deactivated it themselves (see utils/deactivation). Expiries are
+ * audited here, as both the expiry job and the auth middleware lift them;
+ * staff actions are audited by their routes.
+ * @param {Object} user - User document
+ * @param {Object} options - { actor: staff member lifting it (null for the job), reason: 'manual' | 'expired' }
+ * @returns {Promise<Object|null>} - The lifted Suspension record, or null if
+ *   the user was inactive without a suspension
+ */
+const liftSuspension = async (user, { actor = null, reason = 'manual' } = {}) => {
+  let suspension = null;
+  if (isSuspended(user)) {
+    suspension = await Suspension.findOneAndUpdate(
+      { _id: user.suspension.suspensionId, liftedAt: null },
+      {
+        liftedAt: new Date(),
+        liftedBy: actor ? actor._id : null,
+        liftedByEmail: actor ? actor.email : null,
+        liftReason: reason
+      },
+      { new: true }
+    );
+  }
+
+  const before = userStatSnapshot(user);
+  user.isActive = !user.deactivatedAt;
+  user.suspension = { suspensionId: null, reason: null, publicMessage: null, suspendedAt: null, endsAt: null };
+  await user.save();
+  emitUserChanged(before, user);
+
+  // Only the caller that lifted the suspension record audits it
+  if (reason === 'expired' && suspension) {
+    await recordAudit(null, {
+      action: 'user.suspension_expire',
+      targetIds: [user._id],
+      metadata: {
+        suspensionId: suspension._id.toString(),
+        endsAt: suspension.endsAt
+      }
+    });
+  }
+
+  return suspension;
+};
+
+/**
+ * Make an account active on a staff decision: lifts any suspension and
+ * clears a self-deactivation
+ * @param {Object} user - User document
+ * @param {Object|null} actor - Staff member activating the account
+ * @returns {Promise<Object|null>} - The lifted Suspension record, if there was one
+ */
+const activateUser = async (user, actor = null) => {
+  const suspension = isSuspended(user) ? await liftSuspension(user, { actor }) : null;
+
+  if (!user.isActive || user.deactivatedAt) {
+    const before = userStatSnapshot(user);
+    user.isActive = true;
+    user.deactivatedAt = null;
+    await user.save();
+    emitUserChanged(before, user);
+  }
+
+  return suspension;
+};
+
+/**
+ * Body of the error response sent to a suspended user
+ * @param {Object} user - Suspended user
+ * @returns {Object} - JSON response body
+ */
+const suspendedErrorBody = (user) => ({
+  success: false,
+  code: 'ACCOUNT_SUSPENDED',
+  message: user.suspension.endsAt
+    ? `Your account is suspended until ${user.suspension.endsAt.toISOString()}.`
+    : 'Your account is suspended. Please contact support.',
+  suspension: {
+    message: user.suspension.publicMessage,
+    suspendedAt: user.suspension.suspendedAt,
+    endsAt: user.suspension.endsAt
+  }
+});
+
+/**
+ * Shape a suspension record for staff
+ * @param {Object} suspension - Suspension document
+ * @returns {Object} - Serialized suspension
+ */
+const serializeSuspension = (suspension) => ({
+  _id: suspension._id,
+  reason: suspension.reason,
+  internalNote: suspension.internalNote,
+  publicMessage: suspension.publicMessage,
+  suspendedBy: suspension.suspendedBy,
+  suspendedByEmail: suspension.suspendedByEmail,
+  suspendedAt: suspension.createdAt,
+  endsAt: suspension.endsAt,
+  liftedAt: suspension.liftedAt,
+  liftedBy: suspension.liftedBy,
+  liftedByEmail: suspension.liftedByEmail,
+  liftReason: suspension.liftReason,
+  active: !suspension.liftedAt
+});
+
+/**
+ * Get a user's suspension history, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object[]>} - Serialized suspensions
+ */
+const getSuspensionHistory = async (userId, { limit = 50 } = {}) => {
+  const suspensions = await Suspension.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+  return suspensions.map(serializeSuspension);
+};
+
+module.exports = {
+  parseSuspensionInput,
+  isSuspended,
+  isSuspensionExpired,
+  suspendUser,
+  liftSuspension,
+  activateUser,
+  suspendedErrorBody,
+  serializeSuspension,
+  getSuspensionHistory
+};
@@ -0,0 +1,50 @@
+// User tags: lowercase labels of letters, digits, spaces, dashes and underscores
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,49}$/;
+
+// Maximum number of tags on one user
+const MAX_TAGS_PER_USER = 20;
+
+/**
+ * Normalize a tag for storage and comparison
+ * @param {string} tag - Tag as entered
+ * @returns {string|null} - Normalized tag, or null if it is not valid
+ */
+const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') return null;
+  const normalized = tag.trim().toLowerCase().replace(/\s+/g, ' ');
+  return TAG_PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * Normalize a list of tags, dropping duplicates
+ * @param {string[]} tags - Tags as entered
+ * @returns {Object} - { tags, errors }
+ */
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    return { tags: [], errors: ['tags must be an array'] };
+  }
+
+  const errors = [];
+  const normalized = [];
+  tags.forEach(tag => {
+    const value = normalizeTag(tag);
+    if (!value) {
+      errors.push(`Invalid tag: ${tag}. Tags are 1-50 letters, digits, spaces, dashes or underscores`);
+    } else if (!normalized.includes(value)) {
+      normalized.push(value);
+    }
+  });
+
+  if (normalized.length > MAX_TAGS_PER_USER) {
+    errors.push(`A user can have at most ${MAX_TAGS_PER_USER} tags`);
+  }
+  return { tags: normalized, errors };
+};
+
+module.exports = {
+  TAG_PATTERN,
+  MAX_TAGS_PER_USER,
+  normalizeTag,
+  normalizeTags
+};
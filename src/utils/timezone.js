@@ -0,0 +1,120 @@
+// Calendar helpers for IANA time zones (e.g. "Asia/Kolkata"), built on Intl
+
+const formatters = new Map();
+
+// Cached formatter that prints every date part in a time zone
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Validate a time zone name and return its canonical spelling
+ * @param {string} timeZone - IANA time zone name (e.g. "europe/london")
+ * @returns {string|null} - Canonical name (e.g. "Europe/London"), or null if unknown
+ */
+const normalizeTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return null;
+  try {
+    return getFormatter(timeZone.trim()).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the wall clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(date).reduce((result, part) => {
+    if (part.type !== 'literal') result[part.type] = parseInt(part.value, 10);
+    return result;
+  }, {});
+  return parts;
+};
+
+// Milliseconds the time zone is ahead of UTC at an instant
+const getOffsetMs = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the instant a local midnight starts in a time zone
+ * @param {Object} day - { year, month (1-12), day }
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - Instant of local midnight
+ */
+const startOfZonedDay = ({ year, month, day }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day);
+  const firstTry = guess - getOffsetMs(new Date(guess), timeZone);
+  // The offset can differ at the result when a DST change is near
+  return new Date(guess - getOffsetMs(new Date(firstTry), timeZone));
+};
+
+/**
+ * Parse a "YYYY-MM-DD" date
+ * @param {string} value - Date string
+ * @returns {Object|null} - { year, month, day }, or null if invalid
+ */
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+  return { year, month, day };
+};
+
+/**
+ * Add days to a calendar day
+ * @param {Object} day - { year, month, day }
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Object} - { year, month, day }
+ */
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+/**
+ * Format a calendar day as "YYYY-MM-DD"
+ * @param {Object} day - { year, month, day }
+ * @returns {string} - Formatted day
+ */
+const formatDay = ({ year, month, day }) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Get today's calendar day in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { year, month, day }
+ */
+const getZonedToday = (timeZone) => {
+  const { year, month, day } = getZonedParts(new Date(), timeZone);
+  return { year, month, day };
+};
+
+module.exports = {
+  normalizeTimezone,
+  getZonedParts,
+  startOfZonedDay,
+  parseDay,
+  addDays,
+  formatDay,
+  getZonedToday
+};
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const { authConfig } = require('../config/auth');
+
+/**
+ * Generate a cryptographically random token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - Hex encoded token
+ */
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage (tokens are never stored in plaintext)
+ * @param {string} token - Token to hash
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Get client information from the request
+ * @param {Object} req - Express request
+ * @returns {Object} - User agent and IP address
+ */
+const getClientInfo = (req) => {
+  if (!req) return { userAgent: null, ipAddress: null };
+  return {
+    userAgent: req.get ? req.get('user-agent') || null : null,
+    ipAddress: req.ip || null
+  };
+};
+
+/**
+ * Generate a short-lived JWT access token bound to a session
+ * @param {Object} payload - Claims to include (must contain userId)
+ * @param {string} sessionId - ID of the session the token belongs to
+ * @returns {string} - Signed JWT
+ */
+const generateAccessToken = (payload, sessionId) => {
+  return jwt.sign({ ...payload, sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: authConfig.accessTokenExpiresIn
+  });
+};
+
+/**
+ * Generate a short-lived token proving the password step of a two-step login
+ * @param {string} userId - User ID
+ * @returns {string} - Signed JWT (not accepted by protect)
+ */
+const generateMfaToken = (userId, { reactivate = false } = {}) => {
+  const claims = { userId: userId.toString(), type: 'mfa_pending' };
+  // The user confirmed reactivating their deactivated account
+  if (reactivate) claims.reactivate = true;
+
+  return jwt.sign(claims, process.env.JWT_SECRET, {
+    expiresIn: authConfig.mfaTokenExpiresIn
+  });
+};
+
+/**
+ * Verify an "mfa pending" token
+ * @param {string} token - Token returned by the first login step
+ * @returns {Object|null} - Decoded claims, or null if invalid or expired
+ */
+const verifyMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'mfa_pending' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+// even when the secret has already been rotated out
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Create a new session and issue an access/refresh token pair
+ * @param {Object} payload - Access token claims (must contain userId)
+ * @param {Object} req - Express request (for client information)
+ * @returns {Promise<Object>} - { token, refreshToken, session }
+ */
+const issueTokens = async (payload, req) => {
+  const secret = generateRandomToken();
+  const expiresAt = new Date(Date.now() + authConfig.refreshTokenExpiresDays * 24 * 60 * 60 * 1000);
+
+  const session = new Session({
+    userId: payload.userId.toString(),
+    refreshTokenHash: 'pending',
+    expiresAt,
+    ...getClientInfo(req)
+  });
+
+  const refreshToken = buildRefreshToken(session._id, secret);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: generateAccessToken(payload, session._id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Rotate a refresh token. Presenting a token that was already rotated out
+ * is treated as token theft and revokes the whole session.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} req - Express request (for client information)
+ * @returns {Promise<Object>} - { session, refreshToken } or { error }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: 'invalid' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const newRefreshToken = buildRefreshToken(parsed.sessionId, generateRandomToken());
+
+  // Atomically swap the current token so concurrent refreshes cannot both win
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -100 } },
+      lastUsedAt: new Date(),
+      ...getClientInfo(req)
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: newRefreshToken };
+  }
+
+  const existingSession = await Session.findById(parsed.sessionId);
+  if (!existingSession) {
+    return { error: 'invalid' };
+  }
+
+  if (existingSession.previousTokenHashes.includes(presentedHash)) {
+    // Reuse of a rotated token - revoke the whole family
+    if (!existingSession.revokedAt) {
+      existingSession.revokedAt = new Date();
+      existingSession.revokedReason = 'token_reuse';
+      await existingSession.save();
+    }
+    console.warn('Refresh token reuse detected for session:', existingSession._id.toString());
+    return { error: 'reused' };
+  }
+
+  if (!existingSession.isValid()) {
+    return { error: 'expired' };
+  }
+
+  return { error: 'invalid' };
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} - True if a session was revoked
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session belonging to a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {string} exceptSessionId - Optional session to keep
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+  const filter = { userId: userId.toString(), revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * Create a single-use emailed token, invalidating earlier unused tokens
+ * of the same purpose for the user
+ * @param {string} userId - User ID
+ * @param {string} purpose - Token purpose (e.g. 'email_verification')
+ * @param {number} expiresInMs - Lifetime in milliseconds
+ * @returns {Promise<string>} - Plaintext token to send to the user
+ */
+const createUserToken = async (userId, purpose, expiresInMs) => {
+  const token = generateRandomToken();
+
+  await UserToken.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { expiresAt: new Date() }
+  );
+
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInMs)
+  });
+
+  return token;
+};
+
+// Filter matching an unused, unexpired token
+const validUserTokenFilter = (token, purpose) => ({
+  tokenHash: hashToken(token),
+  purpose,
+  usedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Look up a single-use emailed token without consuming it
+ * @param {string} token - Plaintext token presented by the user
+ * @param {string} purpose - Expected token purpose
+ * @returns {Promise<Object|null>} - The token document, or null if invalid
+ */
+const findUserToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+  return UserToken.findOne(validUserTokenFilter(token, purpose));
+};
+
+/**
+ * Consume a single-use emailed token
+ * @param {string} token - Plaintext token presented by the user
+ * @param {string} purpose - Expected token purpose
+ * @returns {Promise<Object|null>} - The consumed token document, or null if invalid
+ */
+const consumeUserToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  return UserToken.findOneAndUpdate(
+    validUserTokenFilter(token, purpose),
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  getClientInfo,
+  generateAccessToken,
+  generateMfaToken,
+  verifyMfaToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  createUserToken,
+  findUserToken,
+  consumeUserToken
+};
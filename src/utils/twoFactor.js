@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { verifyTotp } = require('./totp');
+const { decrypt } = require('./encryption');
+const { hashToken } = require('./tokenUtils');
+const { authConfig } = require('../config/auth');
+
+// Setting key holding the roles that must use two-factor authentication
+const REQUIRED_ROLES_SETTING = 'twoFactor.requiredRoles';
+
+// Roles that admins may require two-factor authentication for
+const ENFORCEABLE_ROLES = ['admin', 'moderator'];
+
+// Fields that must be explicitly selected to verify codes
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Recovery codes are compared without dashes, spaces or case
+const hashRecoveryCode = (code) => hashToken(String(code).toLowerCase().replace(/[\s-]/g, ''));
+
+/**
+ * Generate a set of one-time recovery codes
+ * @returns {Object} - { codes: plaintext codes to show once, hashed: entries to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < authConfig.twoFactorRecoveryCodeCount; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashed: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+/**
+ * Verify a TOTP code or recovery code for a user and record its use.
+ * The use is recorded with a conditional update, so parallel requests
+ * cannot both use the same code.
+ * @param {Object} user - User document with two-factor secret fields selected
+ * @param {Object} params - { code, recoveryCode }
+ * @returns {Promise<Object>} - { valid, usedRecoveryCode, remainingRecoveryCodes }
+ */
+const verifyTwoFactorCode = async (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor || {};
+
+  if (recoveryCode) {
+    const updated = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } }
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } },
+      { new: true, projection: '+twoFactor.recoveryCodes' }
+    );
+    if (!updated) {
+      return { valid: false };
+    }
+    return {
+      valid: true,
+      usedRecoveryCode: true,
+      remainingRecoveryCodes: updated.twoFactor.recoveryCodes.filter(item => !item.usedAt).length
+    };
+  }
+
+  if (!code || !twoFactor.secret) {
+    return { valid: false };
+  }
+
+  const step = verifyTotp(decrypt(twoFactor.secret), code);
+
+  if (step === null) {
+    return { valid: false };
+  }
+
+  // Each code may only be used once: only a step after the last used one is accepted
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (result.matchedCount === 0) {
+    return { valid: false };
+  }
+  return { valid: true, usedRecoveryCode: false };
+};
+
+/**
+ * Get the roles that must use two-factor authentication
+ * @returns {Promise<string[]>} - Role names
+ */
+const getTwoFactorRequiredRoles = async () => {
+  return Setting.getValue(REQUIRED_ROLES_SETTING, []);
+};
+
+/**
+ * Set the roles that must use two-factor authentication
+ * @param {string[]} roles - Role names
+ * @param {string} updatedBy - ID of the admin making the change
+ * @returns {Promise<string[]>} - Saved role names
+ */
+const setTwoFactorRequiredRoles = async (roles, updatedBy) => {
+  const setting = await Setting.setValue(REQUIRED_ROLES_SETTING, roles, updatedBy);
+  return setting.value;
+};
+
+/**
+ * Check if a user must enroll in two-factor authentication before continuing
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} - True if the user's role requires 2FA and it is not enabled
+ */
+const isTwoFactorSetupRequired = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return false;
+  }
+  const requiredRoles = await getTwoFactorRequiredRoles();
+  return requiredRoles.includes(user.role);
+};
+
+module.exports = {
+  ENFORCEABLE_ROLES,
+  TWO_FACTOR_SECRET_FIELDS,
+  generateRecoveryCodes,
+  verifyTwoFactorCode,
+  getTwoFactorRequiredRoles,
+  setTwoFactorRequiredRoles,
+  isTwoFactorSetupRequired
+};
@@ -0,0 +1,204 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const Connection = require('../models/Connection');
+const LoginEvent = require('../models/LoginEvent');
+const UserNote = require('../models/UserNote');
+const Suspension = require('../models/Suspension');
+const { deleteFromCloudinary, getPublicIdFromUrl } = require('../config/cloudinary');
+const { revokeUserSessions } = require('./tokenUtils');
+const { deleteUserDataExports } = require('./dataExports');
+const { deleteUserSettings } = require('./userSettings');
+const { generateUnusablePassword } = require('./passwordPolicy');
+const { USER_STAT_FIELDS, emitUserRemoved, emitUserRestored } = require('./userEvents');
+const { userConfig } = require('../config/users');
+
+// Soft deletion, restore and permanent purge of user accounts, and
+// deletion requested by users themselves: after a grace period their
+// personal data is erased and the record is kept as an anonymized tombstone
+
+/**
+ * Move a user to the recycle bin and sign them out everywhere
+ * @param {Object} user - User document
+ * @param {string} deletedBy - ID of the user performing the deletion
+ * @returns {Promise<Object>} - Updated user
+ */
+const softDeleteUser = async (user, deletedBy) => {
+  user.deletedAt = new Date();
+  user.deletedBy = deletedBy || null;
+  await user.save();
+  emitUserRemoved(user);
+  await revokeUserSessions(user._id, 'account_deleted');
+  return user;
+};
+
+/**
+ * Move several users to the recycle bin
+ * @param {string[]} userIds - IDs of the users to delete
+ * @param {string} deletedBy - ID of the user performing the deletion
+ * @returns {Promise<number>} - Number of users deleted
+ */
+const softDeleteUsers = async (userIds, deletedBy) => {
+  const users = await User.find({ _id: { $in: userIds } }).select(USER_STAT_FIELDS).lean();
+  const result = await User.updateMany(
+    { _id: { $in: users.map(user => user._id) } },
+    { deletedAt: new Date(), deletedBy: deletedBy || null }
+  );
+  users.forEach(emitUserRemoved);
+  await Promise.all(userIds.map(userId => revokeUserSessions(userId, 'account_deleted')));
+  return result.modifiedCount;
+};
+
+/**
+ * Take a user out of the recycle bin
+ * @param {Object} user - Soft-deleted user document
+ * @returns {Promise<Object>} - Restored user
+ */
+const restoreUser = async (user) => {
+  user.deletedAt = null;
+  user.deletedBy = null;
+  await user.save();
+  emitUserRestored(user);
+  return user;
+};
+
+/**
+ * Permanently remove a user, their avatar and everything linked to them
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { success, error }
+ */
+const purgeUser = async (user) => {
+  // Remove the avatar first so a failed delete can be retried on the next run
+  const publicId = getPublicIdFromUrl(user.profilePicture);
+  if (publicId) {
+    const result = await deleteFromCloudinary(publicId);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+  }
+
+  await Promise.all([
+    Session.deleteMany({ userId: user._id.toString() }),
+    UserToken.deleteMany({ user: user._id }),
+    Connection.deleteMany({ $or: [{ requester: user._id }, { recipient: user._id }] }),
+    LoginEvent.deleteMany({ user: user._id }),
+    UserNote.deleteMany({ user: user._id }),
+    Suspension.deleteMany({ user: user._id }),
+    deleteUserDataExports(user._id),
+    deleteUserSettings(user._id)
+  ]);
+  await User.deleteOne({ _id: user._id }).withDeleted();
+
+  return { success: true };
+};
+
+/**
+ * Check if a user has asked for their account to be deleted
+ * @param {Object} user - User document
+ * @returns {boolean} - True while the deletion is pending
+ */
+const isDeletionPending = (user) => Boolean(user && user.deletion && user.deletion.scheduledFor);
+
+/**
+ * Schedule the deletion of a user's own account after the grace period,
+ * and sign them out everywhere
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Updated user
+ */
+const requestAccountDeletion = async (user) => {
+  const requestedAt = new Date();
+  user.deletion = {
+    requestedAt,
+    scheduledFor: new Date(requestedAt.getTime() + userConfig.deletionGracePeriodDays * 24 * 60 * 60 * 1000)
+  };
+  await user.save();
+
+  await revokeUserSessions(user._id, 'deletion_requested');
+  return user;
+};
+
+/**
+ * Cancel a pending account deletion. The caller is responsible for saving the user.
+ * @param {Object} user - User document
+ * @returns {boolean} - True if a deletion was cancelled
+ */
+const cancelAccountDeletion = (user) => {
+  if (!isDeletionPending(user)) return false;
+  user.deletion = { requestedAt: null, scheduledFor: null };
+  return true;
+};
+
+/**
+ * Erase a user's personal data, their avatar and everything linked to them,
+ * keeping the user record as a soft-deleted tombstone. Audit log entries
+ * are kept; they are append-only.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { success, error }
+ */
+const anonymizeUser = async (user) => {
+  // Remove the avatar first so a failed delete can be retried on the next run
+  const publicId = getPublicIdFromUrl(user.profilePicture);
+  if (publicId) {
+    const result = await deleteFromCloudinary(publicId);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+  }
+
+  await Promise.all([
+    Session.deleteMany({ userId: user._id.toString() }),
+    UserToken.deleteMany({ user: user._id }),
+    Connection.deleteMany({ $or: [{ requester: user._id }, { recipient: user._id }] }),
+    LoginEvent.deleteMany({ user: user._id }),
+    UserNote.deleteMany({ user: user._id }),
+    // Suspension history is kept for staff, without the free-text notes
+    Suspension.updateMany({ user: user._id }, { internalNote: null, publicMessage: null }),
+    deleteUserDataExports(user._id),
+    deleteUserSettings(user._id)
+  ]);
+
+  // Written directly: the placeholder email is deliberately not a deliverable address
+  const now = new Date();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      firstName: 'Deleted',
+      lastName: 'User',
+      email: `deleted-${user._id}@deleted.invalid`,
+      password: generateUnusablePassword(),
+      passwordHistory: [],
+      gender: 'prefer-not-to-say',
+      profilePicture: null,
+      tags: [],
+      isActive: false,
+      twoFactor: { enabled: false, enabledAt: null },
+      'suspension.publicMessage': null,
+      'deletion.scheduledFor': null,
+      anonymizedAt: now,
+      deletedAt: now,
+      deletedBy: user._id
+    },
+    $unset: {
+      dateOfBirth: 1,
+      phoneNumber: 1,
+      address: 1,
+      bio: 1,
+      socialLinks: 1
+    }
+  }).withDeleted();
+
+  if (!user.deletedAt) {
+    emitUserRemoved(user);
+  }
+  return { success: true };
+};
+
+module.exports = {
+  softDeleteUser,
+  softDeleteUsers,
+  restoreUser,
+  purgeUser,
+  isDeletionPending,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  anonymizeUser
+};
@@ -0,0 +1,92 @@
+const { EventEmitter } = require('events');
+
+// In-process user lifecycle events. Code that creates, deletes, restores or
+// changes accounts emits them; listeners (such as the statistics rollups)
+// react without the emitting code knowing about them.
+//
+// Events:
+//   created  (snapshot)          - a new account was stored
+//   removed  (snapshot)          - an account was moved to the recycle bin
+//   restored (snapshot)          - an account was taken out of the recycle bin
+//   changed  (before, after)     - a field in USER_STAT_FIELDS changed
+//   login    (snapshot, { at, previousLoginAt })
+
+const userEvents = new EventEmitter();
+
+// Fields a snapshot needs; select these when loading users to emit events for
+const USER_STAT_FIELDS = 'role isActive gender address.country createdAt lastLoginAt';
+
+/**
+ * Take the fields lifecycle listeners need from a user
+ * @param {Object} user - User document or plain object
+ * @returns {Object} - { userId, createdAt, role, isActive, gender, country }
+ */
+const userStatSnapshot = (user) => ({
+  userId: user._id,
+  createdAt: user.createdAt,
+  role: user.role || 'user',
+  isActive: user.isActive !== false,
+  gender: user.gender || null,
+  country: (user.address && user.address.country) || null
+});
+
+// Listener errors must never break the request that emitted the event
+const emit = (event, ...args) => {
+  try {
+    userEvents.emit(event, ...args);
+  } catch (error) {
+    console.error(`User event '${event}' listener error:`, error);
+  }
+};
+
+/**
+ * Announce a new account
+ * @param {Object} user - Saved user
+ */
+const emitUserCreated = (user) => emit('created', userStatSnapshot(user));
+
+/**
+ * Announce an account moved to the recycle bin
+ * @param {Object} user - User as it was before deletion
+ */
+const emitUserRemoved = (user) => emit('removed', userStatSnapshot(user));
+
+/**
+ * Announce an account taken out of the recycle bin
+ * @param {Object} user - Restored user
+ */
+const emitUserRestored = (user) => emit('restored', userStatSnapshot(user));
+
+/**
+ * Announce a change to an account, if any snapshot field changed
+ * @param {Object} before - Snapshot taken before the change (userStatSnapshot())
+ * @param {Object} user - User after the change
+ */
+const emitUserChanged = (before, user) => {
+  const after = userStatSnapshot(user);
+  const changed = ['role', 'isActive', 'gender', 'country'].some(field => before[field] !== after[field]);
+  if (changed) {
+    emit('changed', before, after);
+  }
+};
+
+/**
+ * Announce a successful login
+ * @param {Object} user - User who logged in
+ * @param {Date|null} previousLoginAt - The user's last login before this one
+ */
+const emitUserLogin = (user, previousLoginAt) => emit('login', userStatSnapshot(user), {
+  at: new Date(),
+  previousLoginAt: previousLoginAt || null
+});
+
+module.exports = {
+  userEvents,
+  USER_STAT_FIELDS,
+  userStatSnapshot,
+  emitUserCreated,
+  emitUserRemoved,
+  emitUserRestored,
+  emitUserChanged,
+  emitUserLogin
+};
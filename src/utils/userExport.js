@@ -0,0 +1,269 @@
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('./csv');
+const { writeToResponse } = require('./responseStream');
+const { getNotesForUsers } = require('./userNotes');
+
+// Streaming user export in CSV, NDJSON, JSON and XLSX
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const dateValue = (value) => (value ? new Date(value) : null);
+
+// Read a dotted path from a plain object
+const getPath = (object, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  object
+);
+
+const plainField = (header, path, format = value => value) => ({
+  header,
+  select: path,
+  value: user => {
+    const value = getPath(user, path);
+    return value === undefined || value === null || value === '' ? null : format(value);
+  }
+});
+
+// Users loaded at a time when a field needs data from another collection
+const LOAD_BATCH_SIZE = 200;
+
+// Attach internal notes to a batch of users
+const loadNotes = async (users) => {
+  const notes = await getNotesForUsers(users.map(user => user._id));
+  users.forEach(user => {
+    user.notes = notes.get(user._id.toString()) || [];
+  });
+};
+
+// Exportable fields: column header, projection and value. Optional:
+// tableValue (cell text for CSV and XLSX), load (async loader for a batch of
+// users) and permission (needed on top of users:export).
+const EXPORT_FIELDS = {
+  id: { header: 'ID', select: '_id', value: user => user._id.toString() },
+  firstName: plainField('First Name', 'firstName'),
+  lastName: plainField('Last Name', 'lastName'),
+  email: plainField('Email', 'email'),
+  phoneNumber: plainField('Phone', 'phoneNumber'),
+  gender: plainField('Gender', 'gender'),
+  dateOfBirth: plainField('Date of Birth', 'dateOfBirth', dateValue),
+  status: { header: 'Status', select: 'isActive', value: user => (user.isActive ? 'Active' : 'Inactive') },
+  role: { header: 'Role', select: 'role', value: user => user.role || 'user' },
+  isVerified: { header: 'Verified', select: 'isVerified', value: user => Boolean(user.isVerified) },
+  tags: { header: 'Tags', select: 'tags', value: user => user.tags || [] },
+  bio: plainField('Bio', 'bio'),
+  'address.street': plainField('Street', 'address.street'),
+  'address.city': plainField('City', 'address.city'),
+  'address.state': plainField('State', 'address.state'),
+  'address.country': plainField('Country', 'address.country'),
+  'address.zipCode': plainField('Zip Code', 'address.zipCode'),
+  'socialLinks.facebook': plainField('Facebook', 'socialLinks.facebook'),
+  'socialLinks.twitter': plainField('Twitter', 'socialLinks.twitter'),
+  'socialLinks.linkedin': plainField('LinkedIn', 'socialLinks.linkedin'),
+  'socialLinks.instagram': plainField('Instagram', 'socialLinks.instagram'),
+  createdAt: plainField('Created At', 'createdAt', dateValue),
+  updatedAt: plainField('Updated At', 'updatedAt', dateValue),
+  lastLoginAt: plainField('Last Login At', 'lastLoginAt', dateValue),
+  notes: {
+    header: 'Notes',
+    select: '_id',
+    permission: 'users:notes',
+    load: loadNotes,
+    value: user => (user.notes || []).map(note => ({
+      body: note.body,
+      authorEmail: note.authorEmail,
+      createdAt: note.createdAt,
+      editedAt: note.editedAt
+    })),
+    tableValue: user => (user.notes || [])
+      .map(note => `[${new Date(note.createdAt).toISOString()} ${note.authorEmail || 'unknown'}] ${note.body}`)
+      .join('\n')
+  }
+};
+
+// Shortcuts that expand to a group of fields
+const FIELD_GROUPS = {
+  address: Object.keys(EXPORT_FIELDS).filter(field => field.startsWith('address.')),
+  socialLinks: Object.keys(EXPORT_FIELDS).filter(field => field.startsWith('socialLinks.'))
+};
+
+// Columns of the spreadsheet formats when no fields are chosen
+const DEFAULT_TABLE_FIELDS = ['id', 'firstName', 'lastName', 'email', 'phoneNumber', 'gender', 'status', 'role', 'createdAt'];
+
+/**
+ * Resolve the fields requested for an export
+ * @param {string} fieldsParam - Comma separated field names (optional)
+ * @param {string} format - Export format
+ * @param {Object} options - { permissions: permissions the exporting user holds }
+ * @returns {Object} - { fields, errors }
+ */
+const parseExportFields = (fieldsParam, format, { permissions = [] } = {}) => {
+  const isAllowed = (name) => !EXPORT_FIELDS[name].permission || permissions.includes(EXPORT_FIELDS[name].permission);
+
+  if (!fieldsParam) {
+    // Object formats get every field, spreadsheet formats the classic columns
+    const fields = ['json', 'ndjson'].includes(format) ? Object.keys(EXPORT_FIELDS) : DEFAULT_TABLE_FIELDS;
+    return { fields: fields.filter(isAllowed), errors: [] };
+  }
+
+  const fields = [];
+  const errors = [];
+  String(fieldsParam).split(',').map(field => field.trim()).filter(Boolean).forEach(field => {
+    const expanded = FIELD_GROUPS[field] || [field];
+    expanded.forEach(name => {
+      if (!EXPORT_FIELDS[name]) {
+        errors.push(`Unknown field: ${name}`);
+      } else if (!isAllowed(name)) {
+        errors.push(`Exporting ${name} requires the ${EXPORT_FIELDS[name].permission} permission`);
+      } else if (!fields.includes(name)) {
+        fields.push(name);
+      }
+    });
+  });
+
+  if (fields.length === 0 && errors.length === 0) {
+    errors.push('Choose at least one field');
+  }
+  return { fields, errors };
+};
+
+/**
+ * MongoDB projection for a list of export fields
+ * @param {string[]} fields - Export field names
+ * @returns {string} - Projection string
+ */
+const buildExportProjection = (fields) => [...new Set(fields.map(field => EXPORT_FIELDS[field].select))].join(' ');
+
+// Nested object of the selected fields ({ 'address.city': x } -> { address: { city: x } })
+const toExportObject = (user, fields) => fields.reduce((object, field) => {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    current[key] = current[key] || {};
+    return current[key];
+  }, object);
+  target[last] = EXPORT_FIELDS[field].value(user);
+  return object;
+}, {});
+
+// Cell values for the spreadsheet formats (lists become comma separated text)
+const tableRow = (user, fields) => fields.map(field => {
+  if (EXPORT_FIELDS[field].tableValue) {
+    return EXPORT_FIELDS[field].tableValue(user);
+  }
+  const value = EXPORT_FIELDS[field].value(user);
+  return Array.isArray(value) ? value.join(', ') : value;
+});
+
+const writers = {
+  csv: {
+    start: (res, fields) => writeToResponse(res, toCsvRow(fields.map(field => EXPORT_FIELDS[field].header))),
+    row: (res, fields, user) => writeToResponse(res, toCsvRow(tableRow(user, fields))),
+    end: (res) => res.end()
+  },
+  ndjson: {
+    start: async () => {},
+    row: (res, fields, user) => writeToResponse(res, `${JSON.stringify(toExportObject(user, fields))}\n`),
+    end: (res) => res.end()
+  },
+  json: {
+    start: (res, fields, state) => {
+      state.count = 0;
+      return writeToResponse(res, '{"success":true,"data":{"users":[');
+    },
+    row: (res, fields, user, state) => {
+      const prefix = state.count++ > 0 ? ',' : '';
+      return writeToResponse(res, prefix + JSON.stringify(toExportObject(user, fields)));
+    },
+    end: (res, fields, state) => res.end(`],"exportInfo":${JSON.stringify({
+      format: 'json',
+      fields,
+      totalUsers: state.count,
+      exportedAt: new Date().toISOString()
+    })}}}`)
+  },
+  xlsx: {
+    start: (res, fields, state) => {
+      state.workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      state.worksheet = state.workbook.addWorksheet('Users');
+      state.worksheet.addRow(fields.map(field => EXPORT_FIELDS[field].header)).commit();
+    },
+    row: async (res, fields, user, state) => {
+      state.worksheet.addRow(tableRow(user, fields)).commit();
+    },
+    end: async (res, fields, state) => {
+      state.worksheet.commit();
+      await state.workbook.commit();
+    }
+  }
+};
+
+/**
+ * Stream users from a query cursor to the response
+ * @param {Object} params - { cursor, res, format, fields, fileName }
+ * @returns {Promise<number>} - Number of users written
+ */
+const streamUserExport = async ({ cursor, res, format, fields, fileName = 'users-export' }) => {
+  const writer = writers[format];
+  const state = {};
+  let count = 0;
+
+  // Fields backed by other collections are loaded for batches of users
+  const loaders = [...new Set(fields.map(field => EXPORT_FIELDS[field].load).filter(Boolean))];
+  const batchSize = loaders.length > 0 ? LOAD_BATCH_SIZE : 1;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    for (const load of loaders) {
+      await load(batch);
+    }
+    for (const user of batch) {
+      await writer.row(res, fields, user, state);
+      count++;
+    }
+    batch = [];
+  };
+
+  // Stop reading from the database if the client goes away
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${fileName}.${EXPORT_FORMATS[format].extension}`);
+
+  try {
+    await writer.start(res, fields, state);
+    for await (const user of cursor) {
+      if (closed) break;
+      batch.push(user);
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+    if (!closed) {
+      await flush();
+      await writer.end(res, fields, state);
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  FIELD_GROUPS,
+  DEFAULT_TABLE_FIELDS,
+  parseExportFields,
+  buildExportProjection,
+  streamUserExport
+};
@@ -0,0 +1,262 @@
+// Shared user search filters, used by the user list, export and bulk operations
+
+const ROLES = ['user', 'admin', 'moderator'];
+const GENDERS = ['male', 'female', 'other', 'prefer-not-to-say'];
+
+// Fields the user list can be sorted by
+const SORTABLE_FIELDS = [
+  'firstName',
+  'lastName',
+  'email',
+  'role',
+  'isActive',
+  'dateOfBirth',
+  'createdAt',
+  'updatedAt',
+  'lastLoginAt'
+];
+
+// Longest accepted free-text search
+const MAX_SEARCH_LENGTH = 100;
+
+// Parameters buildUserFilter understands (saved segments may only use these)
+const FILTER_PARAMS = [
+  'search',
+  'status',
+  'role',
+  'gender',
+  'tag',
+  'isVerified',
+  'country',
+  'state',
+  'city',
+  'minAge',
+  'maxAge',
+  'createdFrom',
+  'createdTo',
+  'lastLoginFrom',
+  'lastLoginTo',
+  'inactiveDays',
+  'hasPhone',
+  'hasProfilePicture'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escape text for literal use inside a regular expression
+ * @param {string} text - User input
+ * @returns {string} - Escaped pattern
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comma separated list parameter ("admin,moderator")
+const parseList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// 'true' / 'false' parameter; undefined if absent
+const parseBoolean = (name, value, errors) => {
+  if (value === undefined || value === '') return undefined;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  errors.push(`${name} must be true or false`);
+  return undefined;
+};
+
+// Date parameter: a date, or a number of days before now ("30d")
+const parseDateValue = (value) => {
+  const relative = /^(\d{1,5})d$/.exec(String(value).trim());
+  if (relative) {
+    return new Date(Date.now() - Number(relative[1]) * DAY_MS);
+  }
+  return new Date(value);
+};
+
+// Date range from two parameters ({ $gte, $lte }); undefined if both are absent
+const parseDateRange = (query, fromKey, toKey, errors) => {
+  const range = {};
+  [[fromKey, '$gte'], [toKey, '$lte']].forEach(([key, operator]) => {
+    if (!query[key]) return;
+    const date = parseDateValue(query[key]);
+    if (isNaN(date.getTime())) {
+      errors.push(`${key} must be a valid date or a number of days ago (e.g. 30d)`);
+      return;
+    }
+    range[operator] = date;
+  });
+  return Object.keys(range).length > 0 ? range : undefined;
+};
+
+// Non-negative integer parameter; undefined if absent
+const parseAge = (name, value, errors) => {
+  if (value === undefined || value === '') return undefined;
+  const age = Number(value);
+  if (!Number.isInteger(age) || age < 0 || age > 150) {
+    errors.push(`${name} must be a whole number between 0 and 150`);
+    return undefined;
+  }
+  return age;
+};
+
+// Date a number of years before today
+const yearsAgo = (years) => {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years);
+  return date;
+};
+
+// Condition for "field has a value" / "field is empty"
+const presenceCondition = (field, present) => (present
+  ? { [field]: { $nin: [null, ''] } }
+  : { [field]: { $in: [null, ''] } });
+
+/**
+ * Build a MongoDB filter from user list query parameters
+ *
+ * search           - text in first name, last name or email
+ * status           - all, active or inactive
+ * role, gender     - one value or a comma separated list
+ * tag              - users with any of these tags (comma separated)
+ * isVerified       - true or false
+ * country, state, city - exact match, ignoring case
+ * minAge, maxAge   - age range in years, from dateOfBirth
+ * createdFrom, createdTo, lastLoginFrom, lastLoginTo - date ranges; each
+ *                    takes a date or a number of days ago ("30d")
+ * inactiveDays     - no login in this many days (including never logged in)
+ * hasPhone, hasProfilePicture - true or false
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Object} - { filter, errors }
+ */
+const buildUserFilter = (query = {}) => {
+  const errors = [];
+  const conditions = [];
+
+  // Search filter (input is matched literally)
+  const search = query.search ? String(query.search).trim() : '';
+  if (search.length > MAX_SEARCH_LENGTH) {
+    errors.push(`search cannot exceed ${MAX_SEARCH_LENGTH} characters`);
+  } else if (search) {
+    const pattern = escapeRegex(search);
+    conditions.push({
+      $or: [
+        { firstName: { $regex: pattern, $options: 'i' } },
+        { lastName: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ]
+    });
+  }
+
+  // Status filter
+  const status = query.status || 'all';
+  if (!['all', 'active', 'inactive', 'suspended'].includes(status)) {
+    errors.push('status must be all, active, inactive or suspended');
+  } else if (status === 'suspended') {
+    conditions.push({ 'suspension.suspensionId': { $ne: null } });
+  } else if (status !== 'all') {
+    conditions.push({ isActive: status === 'active' });
+  }
+
+  // Role and gender filters
+  [['role', ROLES], ['gender', GENDERS]].forEach(([field, allowed]) => {
+    if (!query[field]) return;
+    const values = parseList(query[field]);
+    const invalid = values.filter(value => !allowed.includes(value));
+    if (invalid.length > 0) {
+      errors.push(`${field} must be one of: ${allowed.join(', ')}`);
+      return;
+    }
+    conditions.push({ [field]: values.length === 1 ? values[0] : { $in: values } });
+  });
+
+  // Tag filter (comma separated, matches users with any of the tags)
+  if (query.tag) {
+    const tags = parseList(query.tag).map(tag => tag.toLowerCase().replace(/\s+/g, ' '));
+    if (tags.length > 0) {
+      conditions.push({ tags: tags.length === 1 ? tags[0] : { $in: tags } });
+    }
+  }
+
+  // Verification filter
+  const isVerified = parseBoolean('isVerified', query.isVerified, errors);
+  if (isVerified !== undefined) {
+    conditions.push({ isVerified });
+  }
+
+  // Location filters
+  ['country', 'state', 'city'].forEach(field => {
+    if (!query[field]) return;
+    conditions.push({
+      [`address.${field}`]: { $regex: `^${escapeRegex(String(query[field]).trim())}$`, $options: 'i' }
+    });
+  });
+
+  // Age range: minAge 18 means born on or before this day 18 years ago
+  const minAge = parseAge('minAge', query.minAge, errors);
+  const maxAge = parseAge('maxAge', query.maxAge, errors);
+  if (minAge !== undefined && maxAge !== undefined && minAge > maxAge) {
+    errors.push('minAge cannot be greater than maxAge');
+  } else if (minAge !== undefined || maxAge !== undefined) {
+    const dateOfBirth = {};
+    if (minAge !== undefined) dateOfBirth.$lte = yearsAgo(minAge);
+    if (maxAge !== undefined) dateOfBirth.$gt = yearsAgo(maxAge + 1);
+    conditions.push({ dateOfBirth });
+  }
+
+  // Date ranges
+  const createdAt = parseDateRange(query, 'createdFrom', 'createdTo', errors);
+  if (createdAt) conditions.push({ createdAt });
+
+  const lastLoginAt = parseDateRange(query, 'lastLoginFrom', 'lastLoginTo', errors);
+  if (lastLoginAt) conditions.push({ lastLoginAt });
+
+  // Inactivity filter
+  if (query.inactiveDays !== undefined && query.inactiveDays !== '') {
+    const days = Number(query.inactiveDays);
+    if (!Number.isInteger(days) || days < 1) {
+      errors.push('inactiveDays must be a whole number of days, at least 1');
+    } else {
+      const cutoff = new Date(Date.now() - days * DAY_MS);
+      conditions.push({ $or: [{ lastLoginAt: { $lt: cutoff } }, { lastLoginAt: null }] });
+    }
+  }
+
+  // Presence filters
+  const hasPhone = parseBoolean('hasPhone', query.hasPhone, errors);
+  if (hasPhone !== undefined) conditions.push(presenceCondition('phoneNumber', hasPhone));
+
+  const hasProfilePicture = parseBoolean('hasProfilePicture', query.hasProfilePicture, errors);
+  if (hasProfilePicture !== undefined) conditions.push(presenceCondition('profilePicture', hasProfilePicture));
+
+  const filter = conditions.length === 0 ? {} : { $and: conditions };
+  return { filter, errors };
+};
+
+/**
+ * Build a MongoDB sort from user list query parameters
+ * @param {Object} query - { sortBy, sortOrder }
+ * @returns {Object} - { sort, errors }
+ */
+const buildUserSort = (query = {}) => {
+  const sortBy = query.sortBy || 'createdAt';
+  const sortOrder = query.sortOrder || 'desc';
+  const errors = [];
+
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    errors.push(`sortBy must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    errors.push('sortOrder must be asc or desc');
+  }
+
+  const sort = {};
+  sort[SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'createdAt'] = sortOrder === 'asc' ? 1 : -1;
+  return { sort, errors };
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  FILTER_PARAMS,
+  escapeRegex,
+  buildUserFilter,
+  buildUserSort
+};
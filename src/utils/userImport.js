@@ -0,0 +1,414 @@
+const User = require('../models/User');
+const { parseCsvRecords } = require('./csv');
+const { normalizePhoneNumber } = require('./phone');
+const { normalizeTag } = require('./tags');
+const { generateUnusablePassword } = require('./passwordPolicy');
+const { sendAccountInviteEmail } = require('./accountEmails');
+const { canManageUser } = require('./permissions');
+const { USER_STAT_FIELDS, userStatSnapshot, emitUserCreated, emitUserChanged } = require('./userEvents');
+
+// Bulk user import from CSV or NDJSON.
+//
+// Rows are mapped to user fields, validated against the User schema and the
+// phone rules, checked for duplicates (in the file and in the database) and
+// then created, updated or skipped depending on the conflict mode.
+
+// Maximum rows in one import
+const MAX_IMPORT_ROWS = 5000;
+
+// Users looked up per database query when checking duplicates
+const LOOKUP_CHUNK_SIZE = 1000;
+
+// Fields that can be imported
+const IMPORTABLE_FIELDS = [
+  'firstName',
+  'lastName',
+  'email',
+  'phoneNumber',
+  'gender',
+  'dateOfBirth',
+  'bio',
+  'address.street',
+  'address.city',
+  'address.state',
+  'address.country',
+  'address.zipCode',
+  'tags'
+];
+
+// Other column names recognised without a mapping
+const FIELD_ALIASES = {
+  phone: 'phoneNumber',
+  mobile: 'phoneNumber',
+  dob: 'dateOfBirth',
+  birthdate: 'dateOfBirth',
+  street: 'address.street',
+  city: 'address.city',
+  state: 'address.state',
+  country: 'address.country',
+  zip: 'address.zipCode',
+  zipcode: 'address.zipCode',
+  postcode: 'address.zipCode'
+};
+
+const IMPORT_MODES = ['skip', 'update', 'fail'];
+
+// Compare column names without case, spaces or punctuation
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELDS_BY_KEY = IMPORTABLE_FIELDS.reduce((fields, field) => {
+  fields[normalizeKey(field)] = field;
+  return fields;
+}, Object.entries(FIELD_ALIASES).reduce((fields, [alias, field]) => {
+  fields[normalizeKey(alias)] = field;
+  return fields;
+}, {}));
+
+// Flatten nested NDJSON objects to dotted keys ({ address: { city } } -> address.city)
+const flattenRecord = (record, prefix = '') => Object.entries(record).reduce((flat, [key, value]) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.assign(flat, flattenRecord(value, `${prefix}${key}.`));
+  } else {
+    flat[`${prefix}${key}`] = value;
+  }
+  return flat;
+}, {});
+
+/**
+ * Parse an uploaded import file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' or 'ndjson'
+ * @returns {Object} - { columns, records: [{ row, values, parseError }] }
+ */
+const parseImportFile = (buffer, format) => {
+  const text = buffer.toString('utf8');
+
+  if (format === 'csv') {
+    const { headers, records } = parseCsvRecords(text);
+    return { columns: headers, records };
+  }
+
+  const columns = new Set();
+  const records = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      const parsed = JSON.parse(line);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Each line must be a JSON object');
+      }
+      const values = flattenRecord(parsed);
+      Object.keys(values).forEach(key => columns.add(key));
+      records.push({ row: index + 1, values });
+    } catch (error) {
+      records.push({ row: index + 1, values: {}, parseError: `Invalid JSON: ${error.message}` });
+    }
+  });
+
+  return { columns: [...columns], records };
+};
+
+/**
+ * Work out which user field each source column feeds
+ * @param {string[]} columns - Column names in the file
+ * @param {Object} mapping - Optional { sourceColumn: userField } (null to ignore a column)
+ * @returns {Object} - { columnMap, errors }
+ */
+const buildColumnMapping = (columns, mapping = {}) => {
+  const columnMap = {};
+  const errors = [];
+
+  columns.forEach(column => {
+    const field = FIELDS_BY_KEY[normalizeKey(column)];
+    if (field) columnMap[column] = field;
+  });
+
+  Object.entries(mapping || {}).forEach(([column, field]) => {
+    if (field === null || field === '') {
+      delete columnMap[column];
+    } else if (!IMPORTABLE_FIELDS.includes(field)) {
+      errors.push(`Cannot map '${column}' to unknown field '${field}'`);
+    } else {
+      columnMap[column] = field;
+    }
+  });
+
+  if (!Object.values(columnMap).includes('email')) {
+    errors.push('No column is mapped to email');
+  }
+
+  return { columnMap, errors };
+};
+
+// Set a dotted path on a plain object
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((current, key) => {
+    current[key] = current[key] || {};
+    return current[key];
+  }, object);
+  target[last] = value;
+};
+
+/**
+ * Map and validate one record
+ * @param {Object} record - { row, values, parseError }
+ * @param {Object} columnMap - Result of buildColumnMapping()
+ * @returns {Object} - { row, email, data, fields, errors }
+ */
+const validateImportRecord = (record, columnMap) => {
+  const result = { row: record.row, email: null, data: {}, fields: [], errors: [] };
+
+  if (record.parseError) {
+    result.errors.push({ field: null, message: record.parseError });
+    return result;
+  }
+
+  Object.entries(columnMap).forEach(([column, field]) => {
+    let value = record.values[column];
+    if (value === undefined || value === null) return;
+    if (typeof value === 'string') value = value.trim();
+    if (value === '') return;
+
+    if (field === 'email') {
+      value = String(value).toLowerCase();
+      result.email = value;
+    }
+
+    if (field === 'phoneNumber') {
+      const phoneResult = normalizePhoneNumber(value);
+      if (phoneResult.error) {
+        result.errors.push({ field, message: phoneResult.error });
+        return;
+      }
+      value = phoneResult.phoneNumber;
+    }
+
+    if (field === 'tags') {
+      const rawTags = Array.isArray(value) ? value : String(value).split(/[,;|]/);
+      const tags = rawTags.map(tag => String(tag).trim()).filter(Boolean);
+      const invalidTags = tags.filter(tag => !normalizeTag(tag));
+      if (invalidTags.length > 0) {
+        result.errors.push({ field, message: `Invalid tags: ${invalidTags.join(', ')}` });
+        return;
+      }
+      value = [...new Set(tags.map(normalizeTag))];
+    }
+
+    setPath(result.data, field, value);
+    result.fields.push(field);
+  });
+
+  if (!result.email) {
+    result.errors.push({ field: 'email', message: 'Email is required' });
+    return result;
+  }
+
+  // Reuse the User schema validators
+  const candidate = new User({ ...result.data, password: generateUnusablePassword() });
+  const validationError = candidate.validateSync();
+  if (validationError) {
+    Object.values(validationError.errors).forEach(error => {
+      result.errors.push({ field: error.path, message: error.message });
+    });
+  }
+
+  return result;
+};
+
+// Find existing users by email or phone number, in chunks
+const findExistingUsers = async (emails, phoneNumbers) => {
+  const byEmail = new Map();
+  const byPhone = new Map();
+
+  for (let i = 0; i < emails.length; i += LOOKUP_CHUNK_SIZE) {
+    const users = await User.find({ email: { $in: emails.slice(i, i + LOOKUP_CHUNK_SIZE) } })
+      .withDeleted()
+      .select(`email phoneNumber deletedAt ${USER_STAT_FIELDS}`);
+    users.forEach(user => byEmail.set(user.email, user));
+  }
+
+  for (let i = 0; i < phoneNumbers.length; i += LOOKUP_CHUNK_SIZE) {
+    const users = await User.find({ phoneNumber: { $in: phoneNumbers.slice(i, i + LOOKUP_CHUNK_SIZE) } })
+      .select('email phoneNumber role');
+    users.forEach(user => byPhone.set(user.phoneNumber, user));
+  }
+
+  return { byEmail, byPhone };
+};
+
+// Build the $set/$addToSet update for an existing user from a row
+const buildUserUpdate = (row) => {
+  const $set = {};
+  row.fields.forEach(field => {
+    if (field === 'email' || field === 'tags') return;
+    $set[field] = field.split('.').reduce((value, key) => value[key], row.data);
+  });
+
+  const update = { $set };
+  if (row.data.tags) {
+    update.$addToSet = { tags: { $each: row.data.tags } };
+  }
+  return update;
+};
+
+/**
+ * Validate and import parsed records
+ * @param {Object} params - { records, columnMap, mode, dryRun, sendInvites, actor }
+ * @returns {Promise<Object>} - { status, totalRows, created, updated, skipped, failed, invitesSent, rowErrors, preview }
+ */
+const importUsers = async ({ records, columnMap, mode = 'skip', dryRun = false, sendInvites = false, actor }) => {
+  const rows = records.map(record => validateImportRecord(record, columnMap));
+  const rowErrors = [];
+  const fail = (row, field, message) => {
+    row.errors.push({ field, message });
+  };
+
+  // Duplicates inside the file
+  const seenEmails = new Map();
+  const seenPhones = new Map();
+  rows.forEach(row => {
+    if (row.errors.length > 0) return;
+    if (seenEmails.has(row.email)) {
+      fail(row, 'email', `Duplicate email in file (row ${seenEmails.get(row.email)})`);
+      return;
+    }
+    seenEmails.set(row.email, row.row);
+
+    const phone = row.data.phoneNumber;
+    if (phone && seenPhones.has(phone)) {
+      fail(row, 'phoneNumber', `Duplicate phone number in file (row ${seenPhones.get(phone)})`);
+      return;
+    }
+    if (phone) seenPhones.set(phone, row.row);
+  });
+
+  // Conflicts with existing users
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const { byEmail, byPhone } = await findExistingUsers(
+    validRows.map(row => row.email),
+    validRows.map(row => row.data.phoneNumber).filter(Boolean)
+  );
+
+  for (const row of validRows) {
+    const existing = byEmail.get(row.email);
+    const phoneOwner = row.data.phoneNumber ? byPhone.get(row.data.phoneNumber) : null;
+    const phoneTaken = phoneOwner && (!existing || !phoneOwner._id.equals(existing._id));
+
+    if (existing && existing.deletedAt) {
+      fail(row, 'email', 'Email belongs to a deleted account');
+    } else if (existing && mode === 'fail') {
+      fail(row, 'email', 'Email already registered');
+    } else if (existing && mode === 'skip') {
+      row.action = 'skip';
+    } else if (phoneTaken) {
+      fail(row, 'phoneNumber', 'Phone number already registered by another user');
+    } else if (existing && !(await canManageUser(actor, existing))) {
+      fail(row, 'email', 'Updating admin accounts requires the admins:manage permission');
+    } else {
+      row.action = existing ? 'update' : 'create';
+      row.existing = existing || null;
+    }
+  }
+
+  const summary = {
+    status: 'completed',
+    totalRows: rows.length,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    invitesSent: 0,
+    rowErrors,
+    preview: []
+  };
+
+  const collectErrors = () => {
+    rows.forEach(row => {
+      row.errors.forEach(error => rowErrors.push({ row: row.row, email: row.email, ...error }));
+    });
+    summary.failed = rows.filter(row => row.errors.length > 0).length;
+  };
+
+  collectErrors();
+
+  // Fail mode is all or nothing
+  if (mode === 'fail' && summary.failed > 0) {
+    summary.status = 'aborted';
+    return summary;
+  }
+
+  if (dryRun) {
+    rows.forEach(row => {
+      if (row.action === 'create') summary.created++;
+      if (row.action === 'update') summary.updated++;
+      if (row.action === 'skip') summary.skipped++;
+    });
+    summary.preview = rows.slice(0, 20).map(row => ({
+      row: row.row,
+      email: row.email,
+      action: row.errors.length > 0 ? 'error' : row.action,
+      data: row.data
+    }));
+    return summary;
+  }
+
+  for (const row of rows) {
+    if (row.errors.length > 0) continue;
+
+    if (row.action === 'skip') {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      if (row.action === 'update') {
+        const updated = await User.findOneAndUpdate(
+          { _id: row.existing._id },
+          buildUserUpdate(row),
+          { new: true, runValidators: true }
+        );
+        emitUserChanged(userStatSnapshot(row.existing), updated);
+        summary.updated++;
+        continue;
+      }
+
+      const user = await User.create({
+        ...row.data,
+        password: generateUnusablePassword()
+      });
+      emitUserCreated(user);
+      summary.created++;
+
+      if (sendInvites) {
+        const emailResult = await sendAccountInviteEmail(user);
+        if (emailResult.success) {
+          summary.invitesSent++;
+        } else {
+          rowErrors.push({ row: row.row, email: row.email, field: null, message: 'User created but the invite email could not be sent' });
+        }
+      }
+    } catch (error) {
+      summary.failed++;
+      rowErrors.push({
+        row: row.row,
+        email: row.email,
+        field: null,
+        message: error.code === 11000 ? 'Email already registered' : error.message
+      });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORTABLE_FIELDS,
+  IMPORT_MODES,
+  parseImportFile,
+  buildColumnMapping,
+  validateImportRecord,
+  importUsers
+};
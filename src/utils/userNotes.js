@@ -0,0 +1,101 @@
+const UserNote = require('../models/UserNote');
+const { hasPermission } = require('./permissions');
+
+// Internal staff notes on user accounts. Deleted notes are kept (with
+// their history) but left out of every listing.
+
+/**
+ * Shape a note for API responses and exports
+ * @param {Object} note - UserNote document or lean object
+ * @returns {Object} - Serialized note
+ */
+const serializeNote = (note) => ({
+  _id: note._id,
+  body: note.body,
+  author: note.author,
+  authorEmail: note.authorEmail,
+  createdAt: note.createdAt,
+  editedAt: note.editedAt,
+  history: note.history || []
+});
+
+/**
+ * Get the notes on a user, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { notes, total }
+ */
+const getNotesForUser = async (userId, { limit = 0 } = {}) => {
+  const [notes, total] = await Promise.all([
+    UserNote.find({ user: userId, deletedAt: null }).sort({ createdAt: -1 }).limit(limit).lean(),
+    UserNote.countDocuments({ user: userId, deletedAt: null })
+  ]);
+  return { notes: notes.map(serializeNote), total };
+};
+
+/**
+ * Get the notes on several users, newest first
+ * @param {string[]} userIds - User IDs
+ * @returns {Promise<Map>} - User ID string -> serialized notes
+ */
+const getNotesForUsers = async (userIds) => {
+  const notes = await UserNote.find({ user: { $in: userIds }, deletedAt: null }).sort({ createdAt: -1 }).lean();
+  const byUser = new Map();
+  notes.forEach(note => {
+    const key = note.user.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(serializeNote(note));
+  });
+  return byUser;
+};
+
+/**
+ * Change the text of a note, keeping the previous version in its history.
+ * The caller is responsible for saving the note.
+ * @param {Object} note - UserNote document
+ * @param {string} body - New text
+ * @param {Object} editor - User making the change
+ */
+const editNote = (note, body, editor) => {
+  const editedAt = new Date();
+  note.history.push({
+    body: note.body,
+    editedBy: editor._id,
+    editedByEmail: editor.email,
+    editedAt
+  });
+  note.body = body;
+  note.editedAt = editedAt;
+};
+
+/**
+ * Check if a staff member may edit or delete a note: its author, or
+ * anyone who manages admins
+ * @param {Object} note - UserNote document
+ * @param {Object} user - Staff member
+ * @returns {Promise<boolean>} - True if allowed
+ */
+const canModifyNote = async (note, user) => {
+  if (note.author && note.author.equals(user._id)) return true;
+  return hasPermission(user, 'admins:manage');
+};
+
+/**
+ * Hide a note, keeping it and its history. The caller is responsible for saving the note.
+ * @param {Object} note - UserNote document
+ * @param {Object} actor - User deleting the note
+ */
+const deleteNote = (note, actor) => {
+  note.deletedAt = new Date();
+  note.deletedBy = actor._id;
+  note.deletedByEmail = actor.email;
+};
+
+module.exports = {
+  serializeNote,
+  getNotesForUser,
+  getNotesForUsers,
+  editNote,
+  canModifyNote,
+  deleteNote
+};
@@ -0,0 +1,96 @@
+const Connection = require('../models/Connection');
+const { hasPermission } = require('./permissions');
+
+// Profile projections for the different people who can look at a user:
+// the owner, staff with users:read, and everyone else.
+
+// Privacy levels a field group can be set to
+const PRIVACY_LEVELS = ['public', 'connections', 'private'];
+
+// Profile fields covered by each privacy setting
+const PRIVACY_FIELD_GROUPS = {
+  contact: ['email', 'phoneNumber'],
+  personal: ['dateOfBirth', 'gender'],
+  location: ['address'],
+  activity: ['lastLoginAt', 'createdAt'],
+  social: ['socialLinks']
+};
+
+// Fields every logged in user can see
+const PUBLIC_FIELDS = ['_id', 'firstName', 'lastName', 'profilePicture', 'bio'];
+
+/**
+ * Full profile for the account owner (includes privacy settings)
+ * @param {Object} user - User document
+ * @returns {Object} - Serialized user
+ */
+const toOwnerView = (user) => user.getPublicProfile();
+
+/**
+ * Full profile for staff with users:read, including admin-only tags
+ * @param {Object} user - User document
+ * @returns {Object} - Serialized user
+ */
+const toAdminView = (user) => ({ ...user.getPublicProfile(), tags: user.tags || [] });
+
+/**
+ * Profile as seen by another user, honouring the owner's privacy settings
+ * @param {Object} user - User document
+ * @param {Object} options - { isConnection: whether the viewer is connected to the user }
+ * @returns {Object} - Serialized user
+ */
+const toPublicView = (user, { isConnection = false } = {}) => {
+  const source = user.toObject();
+  const privacy = source.privacy || {};
+  const view = {};
+
+  PUBLIC_FIELDS.forEach(field => {
+    view[field] = source[field];
+  });
+  view.fullName = user.fullName;
+
+  Object.entries(PRIVACY_FIELD_GROUPS).forEach(([group, fields]) => {
+    const level = privacy[group] || 'private';
+    const visible = level === 'public' || (level === 'connections' && isConnection);
+    if (!visible) return;
+
+    fields.forEach(field => {
+      if (source[field] !== undefined) {
+        view[field] = source[field];
+      }
+    });
+    if (group === 'personal') {
+      view.age = user.age;
+    }
+  });
+
+  return view;
+};
+
+/**
+ * Pick the right projection of a user for the person viewing it
+ * @param {Object} user - User being viewed
+ * @param {Object} viewer - Logged in user
+ * @returns {Promise<Object>} - Serialized user
+ */
+const serializeUserFor = async (user, viewer) => {
+  if (viewer && viewer._id.toString() === user._id.toString()) {
+    return toOwnerView(user);
+  }
+
+  if (await hasPermission(viewer, 'users:read')) {
+    return toAdminView(user);
+  }
+
+  const isConnection = viewer ? await Connection.areConnected(viewer._id, user._id) : false;
+  return toPublicView(user, { isConnection });
+};
+
+module.exports = {
+  PRIVACY_LEVELS,
+  PRIVACY_FIELD_GROUPS,
+  toOwnerView,
+  toAdminView,
+  toPublicView,
+  serializeUserFor
+};
@@ -0,0 +1,208 @@
+const Setting = require('../models/Setting');
+const UserSettings = require('../models/UserSettings');
+const { normalizeTimezone, getZonedParts } = require('./timezone');
+const { USER_SETTING_OPTIONS, DEFAULT_USER_SETTINGS } = require('../config/users');
+
+// User preferences. A user's settings are the built-in defaults, overridden
+// by the defaults admins have set, overridden by what the user has changed.
+// Features read them with getUserSettings() rather than adding fields to User.
+
+// Setting key holding the defaults admins have set
+const DEFAULTS_SETTING = 'userSettings.defaults';
+
+// Read a dotted path from an object
+const getPath = (object, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  object
+);
+
+// Write a dotted path on an object, creating nested objects as needed
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, object);
+  parent[last] = value;
+};
+
+// Dotted paths of every setting, e.g. "theme" or "notifications.email.product"
+const listPaths = (object, prefix = '') => Object.entries(object).flatMap(([key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  return value !== null && typeof value === 'object' ? listPaths(value, path) : [path];
+});
+const SETTING_PATHS = listPaths(DEFAULT_USER_SETTINGS);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Validators for each setting: return { value } or { error }
+const oneOf = (name, options) => (value) => (options.includes(value)
+  ? { value }
+  : { error: `${name} must be one of: ${options.join(', ')}` });
+
+const SETTING_VALIDATORS = {
+  language: oneOf('language', USER_SETTING_OPTIONS.languages),
+  timezone: (value) => {
+    const timezone = normalizeTimezone(value);
+    return timezone ? { value: timezone } : { error: 'timezone must be a valid IANA time zone, e.g. Europe/London' };
+  },
+  dateFormat: oneOf('dateFormat', USER_SETTING_OPTIONS.dateFormats),
+  theme: oneOf('theme', USER_SETTING_OPTIONS.themes)
+};
+
+const validateSetting = (path, value) => {
+  if (SETTING_VALIDATORS[path]) return SETTING_VALIDATORS[path](value);
+  // Notification preferences
+  return typeof value === 'boolean' ? { value } : { error: `${path} must be true or false` };
+};
+
+// Split a nested settings object into [path, value] pairs, stopping at
+// anything that is not a group of settings
+const collectEntries = (input, prefix = '') => Object.entries(input).flatMap(([key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  if (isPlainObject(value) && SETTING_PATHS.some(settingPath => settingPath.startsWith(`${path}.`))) {
+    return collectEntries(value, path);
+  }
+  return [[path, value]];
+});
+
+/**
+ * Validate a partial settings update from a request
+ * @param {Object} input - Nested settings, e.g. { theme: 'dark', notifications: { email: { product: true } } };
+ *   null resets a setting to its default
+ * @returns {Object} - { values: { dotted path: value or null }, errors }
+ */
+const validateSettings = (input) => {
+  if (!isPlainObject(input)) {
+    return { values: {}, errors: ['Settings must be an object'] };
+  }
+
+  const values = {};
+  const errors = [];
+
+  collectEntries(input).forEach(([path, value]) => {
+    if (!SETTING_PATHS.includes(path)) {
+      errors.push(SETTING_PATHS.some(settingPath => settingPath.startsWith(`${path}.`))
+        ? `${path} must be an object`
+        : `Unknown setting: ${path}`);
+      return;
+    }
+
+    if (value === null) {
+      values[path] = null;
+      return;
+    }
+
+    const result = validateSetting(path, value);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      values[path] = result.value;
+    }
+  });
+
+  return { values, errors };
+};
+
+/**
+ * Apply stored settings over a base, ignoring unset (null) values
+ * @param {Object} base - Complete settings
+ * @param {Object} overrides - Nested settings, possibly partial
+ * @returns {Object} - Complete settings
+ */
+const applySettings = (base, overrides = {}) => SETTING_PATHS.reduce((settings, path) => {
+  const value = getPath(overrides, path);
+  setPath(settings, path, value === null || value === undefined ? getPath(base, path) : value);
+  return settings;
+}, {});
+
+/**
+ * Get the settings of users who have not changed them
+ * @returns {Promise<Object>} - Built-in defaults with the admin-defined defaults applied
+ */
+const getDefaultSettings = async () => {
+  return applySettings(DEFAULT_USER_SETTINGS, await Setting.getValue(DEFAULTS_SETTING, {}));
+};
+
+/**
+ * Change the admin-defined defaults
+ * @param {Object} values - Result of validateSettings().values (null resets to the built-in default)
+ * @param {string} updatedBy - ID of the admin making the change
+ * @returns {Promise<Object>} - The new complete defaults
+ */
+const setDefaultSettings = async (values, updatedBy) => {
+  const stored = await Setting.getValue(DEFAULTS_SETTING, {});
+  const defaults = {};
+
+  SETTING_PATHS.forEach(path => {
+    const value = Object.prototype.hasOwnProperty.call(values, path) ? values[path] : getPath(stored, path);
+    if (value !== null && value !== undefined) setPath(defaults, path, value);
+  });
+
+  await Setting.setValue(DEFAULTS_SETTING, defaults, updatedBy);
+  return applySettings(DEFAULT_USER_SETTINGS, defaults);
+};
+
+/**
+ * Get a user's settings, with defaults for everything they have not changed
+ * @param {Object|string} user - User document or ID
+ * @returns {Promise<Object>} - { language, timezone, dateFormat, theme, notifications }
+ */
+const getUserSettings = async (user) => {
+  const userId = user && user._id ? user._id : user;
+  const [defaults, stored] = await Promise.all([
+    getDefaultSettings(),
+    UserSettings.findOne({ user: userId }).lean()
+  ]);
+  return applySettings(defaults, stored || {});
+};
+
+/**
+ * Change some of a user's settings
+ * @param {string} userId - User ID
+ * @param {Object} values - Result of validateSettings().values (null resets to the default)
+ * @returns {Promise<Object>} - The user's complete settings
+ */
+const updateUserSettings = async (userId, values) => {
+  if (Object.keys(values).length > 0) {
+    await UserSettings.findOneAndUpdate(
+      { user: userId },
+      { $set: values },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+  return getUserSettings(userId);
+};
+
+/**
+ * Format a date the way a user reads dates
+ * @param {Date} date - Instant
+ * @param {Object} settings - Result of getUserSettings()
+ * @returns {string} - Date in the user's time zone and date format
+ */
+const formatDateForUser = (date, settings) => {
+  const { year, month, day } = getZonedParts(date, settings.timezone || 'UTC');
+  const pad = (value) => String(value).padStart(2, '0');
+  return settings.dateFormat
+    .replace('YYYY', String(year))
+    .replace('MM', pad(month))
+    .replace('DD', pad(day));
+};
+
+/**
+ * Delete a user's stored settings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Delete result
+ */
+const deleteUserSettings = (userId) => UserSettings.deleteMany({ user: userId });
+
+module.exports = {
+  validateSettings,
+  getDefaultSettings,
+  setDefaultSettings,
+  getUserSettings,
+  updateUserSettings,
+  formatDateForUser,
+  deleteUserSettings
+};
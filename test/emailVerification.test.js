@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../src/models/User');
+const UserToken = require('../src/models/UserToken');
+const Session = require('../src/models/Session');
+const { signup, verifyEmail, resendVerification } = require('../src/controllers/authController');
+const { createFileTransport, setTransport } = require('../src/utils/mailer');
+const { memoryModel } = require('./support/memoryModel');
+const { mockRequest, mockResponse } = require('./support/http');
+
+// Emails written by the file transport, oldest first
+const readOutbox = (outboxDir) => fs.readdirSync(outboxDir)
+  .sort()
+  .map(fileName => JSON.parse(fs.readFileSync(path.join(outboxDir, fileName), 'utf8')));
+
+const tokenFromEmail = (email) => email.text.match(/token=([a-f\d]+)/)[1];
+
+const call = async (handler, fields) => {
+  const res = mockResponse();
+  await handler(mockRequest(fields), res);
+  return res;
+};
+
+describe('email verification', () => {
+  let outboxDir;
+  let users;
+
+  before(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    setTransport(createFileTransport(outboxDir));
+  });
+
+  after(() => {
+    setTransport(null);
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.readdirSync(outboxDir).forEach(fileName => fs.unlinkSync(path.join(outboxDir, fileName)));
+    users = memoryModel(User);
+    memoryModel(UserToken);
+    memoryModel(Session);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const signUp = () => call(signup, {
+    body: { firstName: 'Ada', lastName: 'Lovelace', email: 'Ada@Example.com', password: 'Correct-Horse-42' }
+  });
+
+  it('emails a verification link on signup', async () => {
+    const res = await signUp();
+
+    assert.equal(res.statusCode, 201);
+    const [email] = readOutbox(outboxDir);
+    assert.equal(email.to, 'ada@example.com');
+    assert.match(email.text, /\/verify-email\?token=[a-f\d]+/);
+    assert.equal(users.docs[0].isVerified, false);
+  });
+
+  it('verifies the email with the link, which works only once', async () => {
+    await signUp();
+    const token = tokenFromEmail(readOutbox(outboxDir)[0]);
+
+    const res = await call(verifyEmail, { body: { token } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(users.docs[0].isVerified, true);
+
+    const again = await call(verifyEmail, { body: { token } });
+    assert.equal(again.statusCode, 400);
+  });
+
+  it('rejects unknown and non-string tokens', async () => {
+    await signUp();
+
+    assert.equal((await call(verifyEmail, { body: { token: 'f'.repeat(64) } })).statusCode, 400);
+    assert.equal((await call(verifyEmail, { body: { token: { $ne: null } } })).statusCode, 400);
+    assert.equal(users.docs[0].isVerified, false);
+  });
+
+  it('does not resend the link within the cooldown', async () => {
+    await signUp();
+
+    const res = await call(resendVerification, { body: { email: 'ada@example.com' } });
+    assert.equal(res.statusCode, 429);
+    assert.equal(readOutbox(outboxDir).length, 1);
+  });
+});
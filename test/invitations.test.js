@@ -0,0 +1,126 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../src/models/User');
+const UserToken = require('../src/models/UserToken');
+const Session = require('../src/models/Session');
+const Setting = require('../src/models/Setting');
+const LoginEvent = require('../src/models/LoginEvent');
+const AuditLog = require('../src/models/AuditLog');
+const { signup, acceptInvite } = require('../src/controllers/authController');
+const { createFileTransport, setTransport } = require('../src/utils/mailer');
+const { memoryModel } = require('./support/memoryModel');
+const { mockRequest, mockResponse } = require('./support/http');
+
+const readOutbox = (outboxDir) => fs.readdirSync(outboxDir)
+  .sort()
+  .map(fileName => JSON.parse(fs.readFileSync(path.join(outboxDir, fileName), 'utf8')));
+
+const call = async (handler, fields) => {
+  const res = mockResponse();
+  await handler(mockRequest(fields), res);
+  return res;
+};
+
+describe('signup with a pending invitation', () => {
+  const HOUR = 60 * 60 * 1000;
+  let outboxDir;
+  let users;
+  let sessions;
+
+  before(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    setTransport(createFileTransport(outboxDir));
+  });
+
+  after(() => {
+    setTransport(null);
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.readdirSync(outboxDir).forEach(fileName => fs.unlinkSync(path.join(outboxDir, fileName)));
+    users = memoryModel(User, [{
+      firstName: 'Grace',
+      lastName: 'Hopper',
+      email: 'grace@example.com',
+      password: 'unusable-password-hash',
+      isVerified: false,
+      invitation: {
+        status: 'pending',
+        role: 'admin',
+        invitedAt: new Date(Date.now() - 2 * HOUR),
+        lastSentAt: new Date(Date.now() - 2 * HOUR),
+        sendCount: 1,
+        expiresAt: new Date(Date.now() + 24 * HOUR)
+      }
+    }]);
+    memoryModel(UserToken);
+    sessions = memoryModel(Session);
+    memoryModel(Setting);
+    memoryModel(LoginEvent);
+    memoryModel(AuditLog);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const signUp = (email) => call(signup, {
+    body: { firstName: 'Mallory', lastName: 'Example', email, password: 'Correct-Horse-42' }
+  });
+
+  it('rejects an email that is not a string before querying users', async () => {
+    const res = await signUp({ $regex: '^g' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(User.findOne.mock.callCount(), 0);
+  });
+
+  it('resends the invitation instead of setting up the account', async () => {
+    const res = await signUp('  Grace@Example.com ');
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.data.invitationPending, true);
+    assert.equal(res.body.data.token, undefined);
+
+    const [invitee] = users.docs;
+    assert.equal(invitee.password, 'unusable-password-hash');
+    assert.equal(invitee.firstName, 'Grace');
+    assert.equal(invitee.role, 'user');
+    assert.equal(invitee.invitation.status, 'pending');
+    assert.equal(sessions.docs.length, 0);
+
+    const [email] = readOutbox(outboxDir);
+    assert.equal(email.to, 'grace@example.com');
+    assert.match(email.text, /\/accept-invite\?token=[a-f\d]+/);
+  });
+
+  it('does not resend the invitation within the cooldown', async () => {
+    await signUp('grace@example.com');
+    const res = await signUp('grace@example.com');
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(readOutbox(outboxDir).length, 1);
+  });
+
+  it('grants the invited role only through the emailed link', async () => {
+    await signUp('grace@example.com');
+    const token = readOutbox(outboxDir)[0].text.match(/token=([a-f\d]+)/)[1];
+
+    const res = await call(acceptInvite, { body: { token, password: 'Another-Horse-42' } });
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.data.token);
+    const [invitee] = users.docs;
+    assert.equal(invitee.role, 'admin');
+    assert.equal(invitee.isVerified, true);
+    assert.equal(invitee.invitation.status, 'accepted');
+    assert.notEqual(invitee.password, 'unusable-password-hash');
+  });
+});
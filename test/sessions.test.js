@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Session = require('../src/models/Session');
+const { issueTokens, rotateRefreshToken, revokeUserSessions } = require('../src/utils/tokenUtils');
+const { memoryModel } = require('./support/memoryModel');
+const { mockRequest } = require('./support/http');
+
+describe('refresh token sessions', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let sessions;
+
+  beforeEach(() => {
+    sessions = memoryModel(Session);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('issues an access token bound to a new session', async () => {
+    const { token, refreshToken, session } = await issueTokens({ userId }, mockRequest());
+
+    assert.ok(token);
+    assert.ok(refreshToken.startsWith(`${session._id}.`));
+    assert.equal(sessions.docs.length, 1);
+  });
+
+  it('rotates the refresh token and rejects the old one afterwards', async () => {
+    const { refreshToken } = await issueTokens({ userId }, mockRequest());
+
+    const rotated = await rotateRefreshToken(refreshToken, mockRequest());
+    assert.ok(rotated.refreshToken);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+
+    const next = await rotateRefreshToken(rotated.refreshToken, mockRequest());
+    assert.ok(next.refreshToken);
+  });
+
+  it('revokes the whole session when a rotated-out token is presented again', async () => {
+    const { refreshToken } = await issueTokens({ userId }, mockRequest());
+    const rotated = await rotateRefreshToken(refreshToken, mockRequest());
+
+    const reuse = await rotateRefreshToken(refreshToken, mockRequest());
+    assert.equal(reuse.error, 'reused');
+    assert.equal(sessions.docs[0].revokedReason, 'token_reuse');
+
+    // The token issued by the legitimate rotation dies with the session
+    const afterReuse = await rotateRefreshToken(rotated.refreshToken, mockRequest());
+    assert.ok(afterReuse.error);
+  });
+
+  it('lets only one of two parallel refreshes with the same token win', async () => {
+    const { refreshToken } = await issueTokens({ userId }, mockRequest());
+
+    const results = await Promise.all([
+      rotateRefreshToken(refreshToken, mockRequest()),
+      rotateRefreshToken(refreshToken, mockRequest())
+    ]);
+
+    assert.equal(results.filter(result => result.refreshToken).length, 1);
+  });
+
+  it('rejects refresh tokens of revoked sessions', async () => {
+    const { refreshToken } = await issueTokens({ userId }, mockRequest());
+    assert.equal(await revokeUserSessions(userId, 'logout_all'), 1);
+
+    const result = await rotateRefreshToken(refreshToken, mockRequest());
+    assert.equal(result.error, 'expired');
+  });
+
+  it('rejects malformed refresh tokens', async () => {
+    assert.equal((await rotateRefreshToken('not-a-token', mockRequest())).error, 'invalid');
+    assert.equal((await rotateRefreshToken({ $gt: '' }, mockRequest())).error, 'invalid');
+  });
+});
@@ -0,0 +1,51 @@
+// Minimal Express request and response objects for calling controllers directly
+
+/**
+ * Build a request
+ * @param {Object} fields - Properties to set (body, params, query, user, ...)
+ * @returns {Object} - Request
+ */
+const mockRequest = (fields = {}) => ({
+  body: {},
+  params: {},
+  query: {},
+  headers: {},
+  ip: '127.0.0.1',
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  },
+  ...fields
+});
+
+/**
+ * Build a response that records what the controller sent
+ * @returns {Object} - Response with statusCode, body and headers
+ */
+const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    setHeader(name, value) {
+      res.set(name, value);
+    }
+  };
+  return res;
+};
+
+module.exports = {
+  mockRequest,
+  mockResponse
+};
@@ -0,0 +1,226 @@
+const { mock } = require('node:test');
+
+// An in-memory stand-in for a Mongoose model, for tests that run without a
+// database. It replaces the model's query methods with versions that read and
+// write plain objects, supporting the filter and update operators the app
+// uses. Each call runs synchronously, so conditional updates are atomic just
+// as they are in MongoDB. Restore with mock.restoreAll().
+
+const isObjectId = (value) => Boolean(value && value._bsontype === 'ObjectId');
+
+const isOperatorObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !isObjectId(value)
+  && Object.keys(value).some(key => key.startsWith('$'));
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value === null || typeof value !== 'object' || isObjectId(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+const getPath = (object, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  object
+);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, object);
+  parent[last] = value;
+};
+
+const equals = (a, b) => {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  return String(a) === String(b);
+};
+
+const compare = (a, b) => (a instanceof Date || b instanceof Date
+  ? new Date(a).getTime() - new Date(b).getTime()
+  : a - b);
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    if (condition === null) return value === null || value === undefined;
+    if (Array.isArray(value) && !Array.isArray(condition)) return value.some(item => equals(item, condition));
+    return equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$gt': return value !== null && value !== undefined && compare(value, operand) > 0;
+      case '$gte': return value !== null && value !== undefined && compare(value, operand) >= 0;
+      case '$lt': return value !== null && value !== undefined && compare(value, operand) < 0;
+      case '$lte': return value !== null && value !== undefined && compare(value, operand) <= 0;
+      case '$ne': return !matchesCondition(value, operand);
+      case '$in': return operand.some(item => matchesCondition(value, item));
+      case '$nin': return !operand.some(item => matchesCondition(value, item));
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$elemMatch': return Array.isArray(value) && value.some(item => matches(item, operand));
+      default: throw new Error(`memoryModel does not support ${operator}`);
+    }
+  });
+};
+
+/**
+ * Check if a plain object matches a MongoDB filter
+ * @param {Object} doc - Stored document
+ * @param {Object} filter - MongoDB filter
+ * @returns {boolean} - True if it matches
+ */
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+// Resolve "array.$.field" to the index of the element the filter matched
+const resolvePositional = (doc, path, filter) => {
+  if (!path.includes('.$')) return path;
+  const [arrayPath, rest] = path.split('.$');
+  const condition = filter[arrayPath];
+  const array = getPath(doc, arrayPath) || [];
+  const index = array.findIndex(item => (condition && condition.$elemMatch
+    ? matches(item, condition.$elemMatch)
+    : matchesCondition(item, condition)));
+  return `${arrayPath}.${index}${rest}`;
+};
+
+const applyUpdate = (doc, update, filter) => {
+  Object.entries(update).forEach(([key, value]) => {
+    if (!key.startsWith('$')) {
+      setPath(doc, key, clone(value));
+      return;
+    }
+    Object.entries(value).forEach(([path, operand]) => {
+      const target = resolvePositional(doc, path, filter);
+      const current = getPath(doc, target);
+      switch (key) {
+        case '$set': setPath(doc, target, clone(operand)); break;
+        case '$unset': setPath(doc, target, undefined); break;
+        case '$inc': setPath(doc, target, (current || 0) + operand); break;
+        case '$push': {
+          const items = operand && operand.$each ? operand.$each : [operand];
+          let array = (current || []).concat(clone(items));
+          if (operand && operand.$slice !== undefined) array = array.slice(operand.$slice);
+          setPath(doc, target, array);
+          break;
+        }
+        case '$addToSet': {
+          const array = current || [];
+          if (!array.some(item => equals(item, operand))) array.push(clone(operand));
+          setPath(doc, target, array);
+          break;
+        }
+        default: throw new Error(`memoryModel does not support ${key}`);
+      }
+    });
+  });
+};
+
+// Chainable, awaitable result standing in for a Mongoose Query
+const createQuery = (run) => {
+  let lean = false;
+  const query = {
+    lean() { lean = true; return query; },
+    select() { return query; },
+    sort() { return query; },
+    skip() { return query; },
+    limit() { return query; },
+    populate() { return query; },
+    withDeleted() { return query; },
+    exec() { return Promise.resolve().then(() => run(lean)); },
+    then(resolve, reject) { return query.exec().then(resolve, reject); },
+    catch(reject) { return query.exec().catch(reject); }
+  };
+  return query;
+};
+
+/**
+ * Back a Mongoose model with an in-memory collection
+ * @param {Object} Model - Mongoose model
+ * @param {Array<Object>} initialDocs - Documents to start with (defaults are applied)
+ * @returns {Object} - { docs: stored plain objects, find(filter): stored object or undefined }
+ */
+const memoryModel = (Model, initialDocs = []) => {
+  const docs = [];
+
+  const toPlain = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false });
+  const insert = (data) => {
+    const plain = toPlain(data instanceof Model ? data : new Model(data));
+    const now = new Date();
+    if (Model.schema.options.timestamps) {
+      plain.createdAt = plain.createdAt || now;
+      plain.updatedAt = now;
+    }
+    docs.push(plain);
+    return plain;
+  };
+  initialDocs.forEach(insert);
+
+  const hydrate = (plain, lean) => (lean ? clone(plain) : Model.hydrate(clone(plain)));
+  const findStored = (filter) => docs.find(doc => matches(doc, filter));
+  const byId = (id) => ({ _id: id });
+
+  const updateStored = (filter, update, many = false) => {
+    const targets = many ? docs.filter(doc => matches(doc, filter)) : [findStored(filter)].filter(Boolean);
+    targets.forEach(doc => applyUpdate(doc, update, filter));
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length };
+  };
+
+  const findOneAndUpdate = (filter, update, options = {}) => createQuery((lean) => {
+    const doc = findStored(filter);
+    if (!doc) return null;
+    const before = clone(doc);
+    applyUpdate(doc, update, filter);
+    return hydrate(options.new ? doc : before, lean);
+  });
+
+  mock.method(Model, 'find', (filter = {}) => createQuery(lean => docs
+    .filter(doc => matches(doc, filter))
+    .map(doc => hydrate(doc, lean))));
+  mock.method(Model, 'findOne', (filter = {}) => createQuery((lean) => {
+    const doc = findStored(filter);
+    return doc ? hydrate(doc, lean) : null;
+  }));
+  mock.method(Model, 'findById', id => Model.findOne(byId(id)));
+  mock.method(Model, 'findOneAndUpdate', findOneAndUpdate);
+  mock.method(Model, 'findByIdAndUpdate', (id, update, options) => findOneAndUpdate(byId(id), update, options));
+  mock.method(Model, 'updateOne', async (filter, update) => updateStored(filter, update));
+  mock.method(Model, 'updateMany', async (filter, update) => updateStored(filter, update, true));
+  mock.method(Model, 'countDocuments', async (filter = {}) => docs.filter(doc => matches(doc, filter)).length);
+  mock.method(Model, 'exists', async (filter) => (findStored(filter) ? { _id: findStored(filter)._id } : null));
+  mock.method(Model, 'deleteMany', async (filter = {}) => {
+    const remaining = docs.filter(doc => !matches(doc, filter));
+    const deletedCount = docs.length - remaining.length;
+    docs.splice(0, docs.length, ...remaining);
+    return { acknowledged: true, deletedCount };
+  });
+  mock.method(Model, 'create', async (data) => Model.hydrate(clone(insert(data))));
+  mock.method(Model.prototype, 'save', async function () {
+    const index = docs.findIndex(doc => equals(doc._id, this._id));
+    if (index === -1) {
+      insert(this);
+    } else {
+      docs[index] = { ...toPlain(this), updatedAt: new Date() };
+    }
+    this.isNew = false;
+    return this;
+  });
+
+  return { docs, find: findStored };
+};
+
+module.exports = {
+  memoryModel,
+  matches
+};
@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../src/models/User');
+const { generateSecret, generateTotp } = require('../src/utils/totp');
+const { encrypt } = require('../src/utils/encryption');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  generateRecoveryCodes,
+  verifyTwoFactorCode
+} = require('../src/utils/twoFactor');
+const { disableTwoFactor } = require('../src/controllers/twoFactorController');
+const { memoryModel } = require('./support/memoryModel');
+const { mockRequest, mockResponse } = require('./support/http');
+
+describe('two-factor codes', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let secret;
+  let recoveryCodes;
+  let users;
+
+  // Load the user the way each request does, so parallel requests hold separate copies
+  const loadUser = () => User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+  beforeEach(() => {
+    secret = generateSecret();
+    recoveryCodes = generateRecoveryCodes();
+    users = memoryModel(User, [{
+      _id: userId,
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      password: 'unused-hash',
+      twoFactor: {
+        enabled: true,
+        enabledAt: new Date(),
+        secret: encrypt(secret),
+        recoveryCodes: recoveryCodes.hashed
+      }
+    }]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('accepts a current TOTP code once', async () => {
+    const code = generateTotp(secret);
+
+    assert.equal((await verifyTwoFactorCode(await loadUser(), { code })).valid, true);
+    assert.equal((await verifyTwoFactorCode(await loadUser(), { code })).valid, false);
+  });
+
+  it('rejects a wrong TOTP code', async () => {
+    const code = String((Number(generateTotp(secret)) + 1) % 1000000).padStart(6, '0');
+
+    assert.equal((await verifyTwoFactorCode(await loadUser(), { code })).valid, false);
+  });
+
+  it('accepts the same TOTP code for only one of two parallel requests', async () => {
+    const code = generateTotp(secret);
+    const [first, second] = await Promise.all([loadUser(), loadUser()]);
+
+    const results = await Promise.all([
+      verifyTwoFactorCode(first, { code }),
+      verifyTwoFactorCode(second, { code })
+    ]);
+
+    assert.equal(results.filter(result => result.valid).length, 1);
+  });
+
+  it('accepts a recovery code once and counts the ones left', async () => {
+    const [recoveryCode] = recoveryCodes.codes;
+
+    const result = await verifyTwoFactorCode(await loadUser(), { recoveryCode: recoveryCode.toUpperCase() });
+    assert.equal(result.valid, true);
+    assert.equal(result.remainingRecoveryCodes, recoveryCodes.codes.length - 1);
+
+    assert.equal((await verifyTwoFactorCode(await loadUser(), { recoveryCode })).valid, false);
+  });
+
+  it('accepts the same recovery code for only one of two parallel requests', async () => {
+    const [recoveryCode] = recoveryCodes.codes;
+    const [first, second] = await Promise.all([loadUser(), loadUser()]);
+
+    const results = await Promise.all([
+      verifyTwoFactorCode(first, { recoveryCode }),
+      verifyTwoFactorCode(second, { recoveryCode })
+    ]);
+
+    assert.equal(results.filter(result => result.valid).length, 1);
+    assert.equal(users.docs[0].twoFactor.recoveryCodes.filter(entry => entry.usedAt).length, 1);
+  });
+
+  it('returns 400 when disabling with a password that is not a string', async () => {
+    const res = mockResponse();
+    await disableTwoFactor(mockRequest({
+      user: { _id: userId },
+      body: { password: { length: 1 }, code: generateTotp(secret) }
+    }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(users.docs[0].twoFactor.enabled, true);
+  });
+});